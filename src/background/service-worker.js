@@ -3,33 +3,12 @@
  * Handles context menu, badge updates, and cross-tab messaging
  */
 
-// Constants (duplicated here since service workers can't share window globals)
-const STORAGE_KEY = 'epochlens_settings';
-const MIN_TIMESTAMP_MS = 946684800000;
-const MAX_TIMESTAMP_MS = 4102444800000;
-
-const DEFAULT_SETTINGS = {
-  enabled: true,
-  displayMode: 'tooltip',
-  timezone: 'local',
-  showSecondaryTimezone: false,
-  secondaryTimezone: 'UTC',
-  dateFormat: 'locale',
-  customFormat: 'YYYY-MM-DD HH:mm:ss',
-  showBadgeCount: true,
-  highlightStyle: 'dotted',
-  autoScan: true,
-  scanDelay: 500
-};
-
-const MESSAGE_TYPES = {
-  GET_SETTINGS: 'GET_SETTINGS',
-  UPDATE_SETTINGS: 'UPDATE_SETTINGS',
-  GET_PAGE_STATS: 'GET_PAGE_STATS',
-  UPDATE_BADGE: 'UPDATE_BADGE',
-  CONVERT_SELECTION: 'CONVERT_SELECTION',
-  CONVERSION_RESULT: 'CONVERSION_RESULT'
-};
+import { Constants } from '../utils/constants.js';
+import { Converter } from '../utils/converter.js';
+import { Exporter } from '../utils/exporter.js';
+import { ConversionHistory } from '../utils/history.js';
+import { Storage } from '../utils/storage.js';
+import { Timezones } from '../utils/timezones.js';
 
 /**
  * Initialize extension on install
@@ -37,7 +16,7 @@ const MESSAGE_TYPES = {
 chrome.runtime.onInstalled.addListener(async (details) => {
   // Set default settings on first install
   if (details.reason === 'install') {
-    await chrome.storage.sync.set({ [STORAGE_KEY]: DEFAULT_SETTINGS });
+    await Storage.resetSettings();
   }
   
   // Create context menu
@@ -98,6 +77,27 @@ function createContextMenu() {
       title: 'To ISO 8601',
       contexts: ['selection']
     });
+    
+    // Export everything the content script found on the page
+    chrome.contextMenus.create({
+      id: 'epochlens-export',
+      title: 'Export page timestamps',
+      contexts: ['page']
+    });
+    
+    chrome.contextMenus.create({
+      id: 'epochlens-export-csv',
+      parentId: 'epochlens-export',
+      title: 'As CSV',
+      contexts: ['page']
+    });
+    
+    chrome.contextMenus.create({
+      id: 'epochlens-export-json',
+      parentId: 'epochlens-export',
+      title: 'As JSON',
+      contexts: ['page']
+    });
   });
 }
 
@@ -105,10 +105,16 @@ function createContextMenu() {
  * Handle context menu clicks
  */
 chrome.contextMenus.onClicked.addListener(async (info, tab) => {
+  // Page exports don't need a selection
+  if (info.menuItemId === 'epochlens-export-csv' || info.menuItemId === 'epochlens-export-json') {
+    exportPageTimestamps(tab, info.menuItemId === 'epochlens-export-csv' ? 'csv' : 'json');
+    return;
+  }
+  
   const selection = info.selectionText?.trim();
   if (!selection) return;
   
-  const settings = await getSettings();
+  const settings = await Storage.getSettings();
   
   switch (info.menuItemId) {
     case 'epochlens-convert':
@@ -116,7 +122,7 @@ chrome.contextMenus.onClicked.addListener(async (info, tab) => {
       break;
     
     case 'epochlens-copy-timestamp':
-      await handleCopyTimestamp(selection, tab);
+      await handleCopyTimestamp(selection, tab, settings);
       break;
     
     case 'epochlens-quick-local':
@@ -128,11 +134,30 @@ chrome.contextMenus.onClicked.addListener(async (info, tab) => {
       break;
     
     case 'epochlens-quick-iso':
-      await handleQuickConvert(selection, tab, { ...settings, format: 'iso' });
+      await handleQuickConvert(selection, tab, { ...settings, dateFormat: 'iso' });
       break;
   }
 });
 
+/**
+ * Download the timestamps the content script found on a page
+ */
+async function exportPageTimestamps(tab, format) {
+  try {
+    const response = await chrome.tabs.sendMessage(tab.id, {
+      type: Constants.MESSAGE_TYPES.GET_PAGE_TIMESTAMPS,
+      details: true
+    });
+    
+    if (response?.timestamps.length) {
+      await Exporter.download(response.timestamps, format, { url: tab.url, timezone: response.timezone });
+    }
+  } catch (error) {
+    // No content script on this page (chrome://, the Web Store) or the download failed
+    console.error('[EpochLens] Failed to export page timestamps:', error);
+  }
+}
+
 /**
  * Handle main convert action
  */
@@ -146,18 +171,22 @@ async function handleConvert(selection, tab, settings) {
       `${selection} → ${result.formatted}`,
       result.formatted
     );
+    recordConversion(selection, result.formatted, result.unit, tab, settings);
     
     // Also inject result into page
     await injectConversionResult(tab.id, result);
+  } else if (result.invalidTimezone) {
+    showNotification('Conversion Failed', result.error);
   } else {
     // Try to parse as date and convert to timestamp
-    const timestamp = dateToTimestamp(selection);
+    const timestamp = dateToTimestamp(selection, settings);
     if (timestamp) {
       showNotification(
         'Date Converted',
         `${selection} → ${timestamp}`,
         String(timestamp)
       );
+      recordConversion(selection, String(timestamp), 'date', tab, settings);
     } else {
       showNotification('Conversion Failed', 'Invalid timestamp or date format');
     }
@@ -167,20 +196,22 @@ async function handleConvert(selection, tab, settings) {
 /**
  * Handle copy as timestamp
  */
-async function handleCopyTimestamp(selection, tab) {
+async function handleCopyTimestamp(selection, tab, settings) {
   // First check if it's already a timestamp
-  if (isValidTimestamp(selection)) {
-    const ms = toMilliseconds(selection);
+  if (Converter.isValidTimestamp(selection, settings)) {
+    const ms = Converter.toMilliseconds(selection);
     await copyToClipboard(String(ms), tab.id);
     showNotification('Copied', `Timestamp: ${ms}ms`);
+    recordConversion(selection, String(ms), Converter.getUnit(selection), tab, settings);
     return;
   }
   
   // Try to parse as date
-  const timestamp = dateToTimestamp(selection);
+  const timestamp = dateToTimestamp(selection, settings);
   if (timestamp) {
     await copyToClipboard(String(timestamp), tab.id);
     showNotification('Copied', `Timestamp: ${timestamp}`);
+    recordConversion(selection, String(timestamp), 'date', tab, settings);
   } else {
     showNotification('Conversion Failed', 'Could not parse date');
   }
@@ -195,8 +226,9 @@ async function handleQuickConvert(selection, tab, settings) {
   if (result.success) {
     await copyToClipboard(result.formatted, tab.id);
     showNotification('Copied', result.formatted);
+    recordConversion(selection, result.formatted, result.unit, tab, settings);
   } else {
-    showNotification('Conversion Failed', 'Invalid timestamp');
+    showNotification('Conversion Failed', result.error);
   }
 }
 
@@ -210,6 +242,15 @@ function showNotification(title, message, copyText = null) {
   // Could use chrome.notifications API if permission is added
 }
 
+/**
+ * Remember a context menu conversion in the history
+ */
+function recordConversion(input, output, type, tab, settings) {
+  if (settings.keepHistory) {
+    ConversionHistory.add({ input, output, type, source: 'context-menu', url: tab?.url });
+  }
+}
+
 /**
  * Copy text to clipboard via content script
  */
@@ -273,7 +314,8 @@ async function injectConversionResult(tabId, result) {
           setTimeout(() => toast.remove(), 300);
         }, 5000);
       },
-      args: [result]
+      // Only plain data can cross into the page (result.date is a Date)
+      args: [{ formatted: result.formatted }]
     });
   } catch (e) {
     console.error('[EpochLens] Failed to inject result:', e);
@@ -285,16 +327,29 @@ async function injectConversionResult(tabId, result) {
  */
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   switch (message.type) {
-    case MESSAGE_TYPES.UPDATE_BADGE:
+    case Constants.MESSAGE_TYPES.UPDATE_BADGE:
       updateBadge(message.count, sender.tab?.id);
       break;
     
-    case MESSAGE_TYPES.GET_SETTINGS:
-      getSettings().then(sendResponse);
+    case Constants.MESSAGE_TYPES.GET_SETTINGS:
+      Storage.getSettings().then(sendResponse);
       return true; // Keep channel open
     
-    case MESSAGE_TYPES.UPDATE_SETTINGS:
-      updateSettings(message.settings).then(sendResponse);
+    case Constants.MESSAGE_TYPES.UPDATE_SETTINGS:
+      Storage.updateSettings(message.settings).then(sendResponse);
+      return true;
+    
+    // History changes all run here, queued one after another
+    case Constants.MESSAGE_TYPES.ADD_HISTORY:
+      ConversionHistory.add(message.entry).then(sendResponse);
+      return true;
+    
+    case Constants.MESSAGE_TYPES.PIN_HISTORY:
+      ConversionHistory.setPinned(message.id, message.pinned).then(sendResponse);
+      return true;
+    
+    case Constants.MESSAGE_TYPES.CLEAR_HISTORY:
+      ConversionHistory.clear().then(sendResponse);
       return true;
   }
 });
@@ -316,103 +371,25 @@ function updateBadge(count, tabId) {
 }
 
 /**
- * Get settings from storage
- */
-async function getSettings() {
-  const result = await chrome.storage.sync.get(STORAGE_KEY);
-  return { ...DEFAULT_SETTINGS, ...result[STORAGE_KEY] };
-}
-
-/**
- * Update settings in storage
+ * Convert a selected timestamp with the shared converter
+ * Unknown zones are reported instead of quietly formatting in local time.
  */
-async function updateSettings(updates) {
-  const current = await getSettings();
-  const updated = { ...current, ...updates };
-  await chrome.storage.sync.set({ [STORAGE_KEY]: updated });
-  return updated;
-}
-
-// ============================================
-// Timestamp conversion utilities (standalone)
-// ============================================
-
-function isValidTimestamp(value) {
-  const num = Number(value);
-  if (isNaN(num)) return false;
-  
-  const str = String(value).trim();
-  if (!/^\d{10}$|^\d{13}$/.test(str)) return false;
+function convertTimestamp(timestamp, settings) {
+  const result = Converter.convert(timestamp, settings);
   
-  const ms = str.length === 10 ? num * 1000 : num;
-  return ms >= MIN_TIMESTAMP_MS && ms <= MAX_TIMESTAMP_MS;
-}
-
-function toMilliseconds(timestamp) {
-  const str = String(timestamp).trim();
-  const num = Number(str);
-  return str.length === 10 ? num * 1000 : num;
-}
-
-function convertTimestamp(timestamp, settings = {}) {
-  if (!isValidTimestamp(timestamp)) {
-    return { success: false, error: 'Invalid timestamp' };
+  if (result.success && !Timezones.isValid(settings.timezone)) {
+    return { success: false, error: `Unknown timezone "${settings.timezone}"`, invalidTimezone: true };
   }
   
-  const ms = toMilliseconds(timestamp);
-  const date = new Date(ms);
-  const isSeconds = String(timestamp).length === 10;
-  
-  const formatted = formatDate(date, settings);
-  
-  return {
-    success: true,
-    original: timestamp,
-    milliseconds: ms,
-    seconds: Math.floor(ms / 1000),
-    isSeconds,
-    date: date.toISOString(),
-    formatted
-  };
+  return result;
 }
 
-function formatDate(date, settings = {}) {
-  const { timezone = 'local', format = 'locale' } = settings;
-  
-  try {
-    const options = timezone === 'local' ? {} : { timeZone: timezone };
-    
-    if (format === 'iso') {
-      return date.toISOString();
-    }
-    
-    return date.toLocaleString(undefined, {
-      ...options,
-      year: 'numeric',
-      month: 'short',
-      day: 'numeric',
-      hour: '2-digit',
-      minute: '2-digit',
-      second: '2-digit',
-      hour12: true
-    });
-  } catch {
-    return date.toLocaleString();
-  }
-}
-
-function dateToTimestamp(dateStr) {
-  try {
-    const date = new Date(dateStr);
-    if (isNaN(date.getTime())) return null;
-    
-    const ms = date.getTime();
-    if (ms < MIN_TIMESTAMP_MS || ms > MAX_TIMESTAMP_MS) return null;
-    
-    return ms;
-  } catch {
-    return null;
-  }
+/**
+ * Parse a selected date string to milliseconds inside the valid date window (read like popup input, in inputTimezone)
+ */
+function dateToTimestamp(dateStr, settings) {
+  const result = Converter.convertAnyDate(dateStr, settings);
+  return result.success ? result.milliseconds : null;
 }
 
 // Clear badge when tab is updated
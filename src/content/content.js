@@ -3,441 +3,1870 @@
  * Scans pages for timestamps and adds visual indicators
  */
 
-(function() {
-  'use strict';
-  
-  // Wait for EpochLens to be available
-  const Constants = window.EpochLens.Constants;
-  const Converter = window.EpochLens.Converter;
-  const Storage = window.EpochLens.Storage;
-  
-  const { CSS_PREFIX, SKIP_ELEMENTS, MESSAGE_TYPES } = Constants;
-  
-  let settings = { ...Constants.DEFAULT_SETTINGS };
-  let timestampCount = 0;
-  let isScanning = false;
-  let scanTimeout = null;
-  let observer = null;
-  let activeTooltip = null;
-  
-  /**
-   * Initialize the content script
-   */
-  async function init() {
-    // Load settings
-    settings = await Storage.getSettings();
-    
-    if (!settings.enabled) return;
-    
-    // Initial scan
-    scanPage();
-    
-    // Set up mutation observer for dynamic content
-    setupMutationObserver();
-    
-    // Listen for settings changes
-    Storage.onSettingsChange((newSettings) => {
-      const wasEnabled = settings.enabled;
-      settings = newSettings;
-      
-      if (!wasEnabled && settings.enabled) {
-        scanPage();
-        setupMutationObserver();
-      } else if (wasEnabled && !settings.enabled) {
-        cleanup();
-      } else if (settings.enabled) {
-        // Re-scan with new settings
-        cleanup();
+import { Constants } from '../utils/constants.js';
+import { Converter } from '../utils/converter.js';
+import { DateParser } from '../utils/date-parser.js';
+import { Storage } from '../utils/storage.js';
+import { Heuristics } from '../utils/heuristics.js';
+import { SiteRules } from '../utils/site-rules.js';
+import { Timezones } from '../utils/timezones.js';
+import { Highlights } from './highlights.js';
+
+const { CSS_PREFIX, SKIP_ELEMENTS, MESSAGE_TYPES, DISPLAY_MODES } = Constants;
+
+// Non-global copies for cheap candidate checks (global regexes keep lastIndex between tests)
+const TIMESTAMP_CANDIDATE = new RegExp(Constants.TIMESTAMP_REGEX.source);
+const DATE_STRING_CANDIDATES = Object.values(Constants.DATE_STRING_PATTERNS)
+  .map(pattern => new RegExp(pattern.source));
+const ID_CANDIDATES = Converter.getDecoders()
+  .map(decoder => new RegExp(decoder.pattern.source, decoder.pattern.flags.replace('g', '')));
+
+// Ancestors that group timestamps into one line or block for durations (table rows are checked first)
+const PAIR_CONTAINERS = 'li, p, pre, dd, dt, blockquote, h1, h2, h3, h4, h5, h6, div, body';
+
+// Code editors whose rendered text must never be rewritten, and their cursor elements
+const EDITOR_SELECTOR = '.monaco-editor, .CodeMirror, .cm-editor, .ace_editor';
+const EDITOR_CURSOR_SELECTOR = '.cursors-layer .cursor, .CodeMirror-cursor, .ace_cursor';
+
+// EpochLens's own UI (details card, tooltips, field hint, badges), never scanned as page text
+const OVERLAY_SELECTOR = [
+  `.${CSS_PREFIX}-popup`,
+  `.${CSS_PREFIX}-tooltip-popup`,
+  `.${CSS_PREFIX}-badge`,
+  `.${CSS_PREFIX}-delta`
+].join(', ');
+
+// Input types whose value can hold a timestamp
+const TEXT_INPUT_TYPES = ['text', 'search', 'url', 'tel', 'number'];
+
+// Characters around the caret searched in editable fields
+const FIELD_WINDOW = 200;
+
+// Watch each scanned root for added, removed and edited content
+const OBSERVER_OPTIONS = { childList: true, subtree: true, characterData: true };
+
+// Incremental scanning: at most this much work per frame, and a slice at least this often
+const SCAN_FRAME_BUDGET = 8;
+const SCAN_IDLE_TIMEOUT = 200;
+
+// Longer text nodes (a whole log in one <pre>) are scanned a piece at a time
+const SCAN_TEXT_CHUNK = 5000;
+
+// How often to report scan progress to the badge and popup (ms)
+const PROGRESS_INTERVAL = 250;
+
+let baseSettings = { ...Constants.DEFAULT_SETTINGS };
+let settings = { ...Constants.DEFAULT_SETTINGS };
+let isScanning = false;
+let scanTimeout = null;
+
+// Every wrapper or highlight mark currently on the page, so the count follows removals
+const liveTimestamps = new Set();
+
+// Entries of the last inventory sent to the popup, indexed by the ids it was given
+let listedTimestamps = [];
+
+// Mutations waiting for the debounced scan
+const addedNodes = new Set();
+const editedNodes = new Set();
+
+// Text nodes waiting to be scanned, in document order, and those found on screen
+let scanQueue = [];
+let scanIndex = 0;
+let visibleQueue = [];
+const pendingNodes = new Set();
+const queuedByElement = new Map();
+let visibilityObserver = null;
+let scanHandle = null;
+let scanned = 0;
+let scanTotal = 0;
+let lastProgressReport = 0;
+let observer = null;
+let activeTooltip = null;
+let activeCard = null;
+let deltaStart = null;
+let deltaEnd = null;
+let deltaPopup = null;
+let fieldHint = null;
+let fieldHintTimeout = null;
+
+// Duration badge shown after each timestamp that ends a pair
+const deltaBadges = new WeakMap();
+
+// Open shadow roots and same-origin frame bodies found while scanning
+const nestedRoots = new Set();
+const styledRoots = new WeakSet();
+const watchedFrames = new WeakSet();
+const listenedDocuments = new WeakSet();
+let contentCss = null;
+
+/**
+ * Initialize the content script
+ */
+async function init() {
+  // Load settings and apply the rule for this site
+  baseSettings = await Storage.getSettings();
+  settings = SiteRules.resolve(baseSettings, location.href);
+  
+  // Listen for settings changes (even when disabled, so site rules can re-enable)
+  Storage.onSettingsChange((newSettings) => {
+    const wasEnabled = settings.enabled;
+    baseSettings = newSettings;
+    settings = SiteRules.resolve(baseSettings, location.href);
+    
+    if (!wasEnabled && settings.enabled) {
+      scanPage();
+      setupMutationObserver();
+    } else if (wasEnabled && !settings.enabled) {
+      cleanup();
+    } else if (settings.enabled) {
+      // Re-scan with new settings
+      cleanup();
+      scanPage();
+      setupMutationObserver();
+    }
+  });
+  
+  // Listen for messages from popup/background
+  chrome.runtime.onMessage.addListener(handleMessage);
+  
+  // Copy and compare gestures and field hints (same-origin frames get these when first scanned)
+  listenTo(document);
+  window.addEventListener('scroll', hideFieldHint, true);
+  
+  if (!settings.enabled) return;
+  
+  // Initial scan
+  scanPage();
+  
+  // Set up mutation observer for dynamic content
+  setupMutationObserver();
+}
+
+/**
+ * Handle messages from popup/background
+ */
+function handleMessage(message, sender, sendResponse) {
+  switch (message.type) {
+    case MESSAGE_TYPES.GET_PAGE_STATS:
+      sendResponse({ timestampCount: liveTimestamps.size, scanned, total: scanTotal });
+      break;
+    
+    case MESSAGE_TYPES.UPDATE_SETTINGS:
+      baseSettings = { ...baseSettings, ...message.settings };
+      settings = SiteRules.resolve(baseSettings, location.href);
+      cleanup();
+      if (settings.enabled) {
         scanPage();
         setupMutationObserver();
       }
-    });
+      sendResponse({ success: true });
+      break;
+    
+    case MESSAGE_TYPES.GET_PAGE_TIMESTAMPS:
+      sendResponse({ timestamps: getPageTimestamps(message.details), timezone: settings.timezone });
+      break;
     
-    // Listen for messages from popup/background
-    chrome.runtime.onMessage.addListener(handleMessage);
+    case MESSAGE_TYPES.SCROLL_TO_TIMESTAMP:
+      sendResponse({ success: scrollToTimestamps([message.id]) });
+      break;
     
-    // Set up double-click handler for copy functionality
-    document.addEventListener('dblclick', handleTimestampClick);
+    case MESSAGE_TYPES.HIGHLIGHT_TIMESTAMPS:
+      sendResponse({ success: scrollToTimestamps(message.ids) });
+      break;
+    
+    case MESSAGE_TYPES.CONVERT_SELECTION:
+      const selection = window.getSelection().toString().trim();
+      if (selection && Converter.isValidTimestamp(selection, settings)) {
+        const result = Converter.convert(selection, settings);
+        sendResponse(result);
+      } else {
+        sendResponse({ success: false, error: 'No valid timestamp selected' });
+      }
+      break;
   }
+  return true; // Keep channel open for async response
+}
+
+/**
+ * Scan the entire page for timestamps
+ */
+function scanPage() {
+  liveTimestamps.clear();
+  cancelScan();
+  isScanning = true;
   
-  /**
-   * Handle messages from popup/background
-   */
-  function handleMessage(message, sender, sendResponse) {
-    switch (message.type) {
-      case MESSAGE_TYPES.GET_PAGE_STATS:
-        sendResponse({ timestampCount });
-        break;
-      
-      case MESSAGE_TYPES.UPDATE_SETTINGS:
-        settings = { ...settings, ...message.settings };
-        cleanup();
-        if (settings.enabled) {
-          scanPage();
-          setupMutationObserver();
-        }
-        sendResponse({ success: true });
-        break;
-      
-      case MESSAGE_TYPES.CONVERT_SELECTION:
-        const selection = window.getSelection().toString().trim();
-        if (selection && Converter.isValidTimestamp(selection)) {
-          const result = Converter.convert(selection, settings);
-          sendResponse(result);
-        } else {
-          sendResponse({ success: false, error: 'No valid timestamp selected' });
-        }
-        break;
+  // Queue text nodes, including those in shadow roots and same-origin frames
+  queueTextNodes(collectTextNodes(document.body));
+  
+  if (scanTotal === 0) finishScan();
+}
+
+/**
+ * Queue text nodes to be scanned in idle time, watching their elements to scan visible ones first
+ */
+function queueTextNodes(textNodes) {
+  if (!visibilityObserver) {
+    visibilityObserver = new IntersectionObserver(handleVisibility);
+  }
+  
+  textNodes.forEach((node) => {
+    if (pendingNodes.has(node)) return;
+    pendingNodes.add(node);
+    scanQueue.push(node);
+    scanTotal++;
+    
+    const parent = node.parentElement;
+    if (!parent) return;
+    
+    if (!queuedByElement.has(parent)) {
+      queuedByElement.set(parent, []);
+      visibilityObserver.observe(parent);
+    }
+    queuedByElement.get(parent).push(node);
+  });
+  
+  if (pendingNodes.size > 0 && !scanHandle) {
+    scanHandle = requestIdleCallback(runScanSlice, { timeout: SCAN_IDLE_TIMEOUT });
+  }
+}
+
+/**
+ * Move the queued text of elements that scrolled into view to the front
+ */
+function handleVisibility(entries) {
+  entries.forEach(({ target, isIntersecting }) => {
+    if (!isIntersecting || !queuedByElement.has(target)) return;
+    
+    visibleQueue.push(...queuedByElement.get(target));
+    queuedByElement.delete(target);
+    visibilityObserver.unobserve(target);
+  });
+}
+
+/**
+ * Get the next text node to scan, visible ones first
+ */
+function nextQueuedNode() {
+  while (visibleQueue.length > 0 || scanIndex < scanQueue.length) {
+    const node = visibleQueue.length > 0 ? visibleQueue.shift() : scanQueue[scanIndex++];
+    
+    // Visible nodes are also still in the main queue
+    if (pendingNodes.delete(node)) {
+      scanned++;
+      return node;
+    }
+  }
+  return null;
+}
+
+/**
+ * Scan queued text nodes until the idle period or the frame budget runs out
+ */
+function runScanSlice(deadline) {
+  scanHandle = null;
+  const start = performance.now();
+  
+  // Timestamps wrapped in this slice, to look for new pairs around
+  const wrapped = [];
+  
+  // Past the timeout there is no idle time, but one budget of work still runs
+  while (performance.now() - start < SCAN_FRAME_BUDGET && (deadline.timeRemaining() > 0 || deadline.didTimeout)) {
+    const node = nextQueuedNode();
+    if (!node) break;
+    
+    splitLongText(node);
+    wrapped.push(...processTextNode(node));
+  }
+  
+  annotateDurations(wrapped);
+  
+  if (pendingNodes.size > 0) {
+    reportProgress();
+    scanHandle = requestIdleCallback(runScanSlice, { timeout: SCAN_IDLE_TIMEOUT });
+  } else {
+    finishScan();
+  }
+}
+
+/**
+ * Split a long text node at a line break (or else a space) and scan the rest next
+ */
+function splitLongText(node) {
+  // Non-invasive mode must not split the page's text nodes
+  if (node.length <= SCAN_TEXT_CHUNK || isNonInvasive()) return;
+  
+  const text = node.nodeValue;
+  let cut = text.lastIndexOf('\n', SCAN_TEXT_CHUNK);
+  if (cut <= 0) cut = text.lastIndexOf(' ', SCAN_TEXT_CHUNK);
+  if (cut <= 0) return;
+  
+  const rest = node.splitText(cut);
+  pendingNodes.add(rest);
+  visibleQueue.unshift(rest);
+  scanTotal++;
+}
+
+/**
+ * Wrap up once the queue is empty
+ */
+function finishScan() {
+  scanQueue = [];
+  scanIndex = 0;
+  visibleQueue = [];
+  queuedByElement.clear();
+  visibilityObserver?.disconnect();
+  
+  reportProgress(true);
+  scanned = 0;
+  scanTotal = 0;
+  
+  // Update stats once per page scan
+  if (isScanning) {
+    isScanning = false;
+    if (liveTimestamps.size > 0) {
+      Storage.updateStats({ timestampsFound: liveTimestamps.size, pagesScanned: 1 });
     }
-    return true; // Keep channel open for async response
   }
+}
+
+/**
+ * Drop queued work, e.g. before a rescan with new settings
+ */
+function cancelScan() {
+  if (scanHandle) {
+    cancelIdleCallback(scanHandle);
+    scanHandle = null;
+  }
+  
+  pendingNodes.clear();
+  isScanning = false;
+  finishScan();
+}
+
+/**
+ * Update the badge and tell an open popup how far the scan is (throttled unless forced)
+ */
+function reportProgress(force = false) {
+  const now = performance.now();
+  if (!force && now - lastProgressReport < PROGRESS_INTERVAL) return;
+  lastProgressReport = now;
+  
+  updateBadge();
+  
+  // Nothing receives this unless the popup is open
+  chrome.runtime.sendMessage({
+    type: MESSAGE_TYPES.SCAN_PROGRESS,
+    timestampCount: liveTimestamps.size,
+    scanned,
+    total: scanTotal
+  }).catch(() => {});
+}
+
+/**
+ * Collect candidate text nodes under a root, descending into open shadow roots and same-origin frames
+ */
+function collectTextNodes(root) {
+  const textNodes = [];
+  const pending = [root];
   
-  /**
-   * Scan the entire page for timestamps
-   */
-  function scanPage() {
-    if (isScanning) return;
-    isScanning = true;
-    timestampCount = 0;
+  while (pending.length) {
+    const current = pending.pop();
     
     // Use TreeWalker for efficient DOM traversal
-    const walker = document.createTreeWalker(
-      document.body,
-      NodeFilter.SHOW_TEXT,
+    const walker = current.ownerDocument.createTreeWalker(
+      current,
+      NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT,
       {
-        acceptNode: (node) => {
-          const parent = node.parentNode;
-          if (!parent) return NodeFilter.FILTER_REJECT;
+        acceptNode(node) {
+          if (node.nodeType === Node.TEXT_NODE) return acceptTextNode(node);
           
-          // Skip certain elements
-          if (SKIP_ELEMENTS.includes(parent.tagName)) {
-            return NodeFilter.FILTER_REJECT;
+          // TreeWalker stays in one tree, so queue shadow roots and frames to walk next
+          const nested = getNestedRoot(node);
+          if (nested) {
+            attachRoot(nested);
+            pending.push(nested);
           }
           
-          // Skip already processed nodes
-          if (parent.classList && parent.classList.contains(`${CSS_PREFIX}-timestamp`)) {
-            return NodeFilter.FILTER_REJECT;
-          }
-          
-          // Skip if no potential timestamps
-          if (!Constants.TIMESTAMP_REGEX.test(node.nodeValue)) {
-            return NodeFilter.FILTER_REJECT;
-          }
-          
-          return NodeFilter.FILTER_ACCEPT;
+          return SKIP_ELEMENTS.includes(node.tagName) || node.matches(OVERLAY_SELECTOR)
+            ? NodeFilter.FILTER_REJECT
+            : NodeFilter.FILTER_SKIP;
         }
       }
     );
     
-    const textNodes = [];
     let node;
     while (node = walker.nextNode()) {
       textNodes.push(node);
     }
-    
-    // Process text nodes
-    textNodes.forEach(processTextNode);
-    
-    isScanning = false;
-    
-    // Update badge count
-    updateBadge();
-    
-    // Update stats
-    if (timestampCount > 0) {
-      Storage.updateStats({ timestampsFound: timestampCount, pagesScanned: 1 });
-    }
   }
   
-  /**
-   * Process a text node and wrap timestamps
-   */
-  function processTextNode(textNode) {
-    const text = textNode.nodeValue;
-    const timestamps = Converter.findTimestamps(text);
-    
-    if (timestamps.length === 0) return;
-    
-    const parent = textNode.parentNode;
-    if (!parent) return;
-    
-    const fragment = document.createDocumentFragment();
-    let lastIndex = 0;
-    
-    timestamps.forEach(({ value, index }) => {
-      // Text before timestamp
-      if (index > lastIndex) {
-        fragment.appendChild(document.createTextNode(text.slice(lastIndex, index)));
-      }
-      
-      // Create timestamp wrapper
-      const wrapper = createTimestampElement(value);
-      fragment.appendChild(wrapper);
-      timestampCount++;
-      
-      lastIndex = index + value.length;
-    });
-    
-    // Remaining text
-    if (lastIndex < text.length) {
-      fragment.appendChild(document.createTextNode(text.slice(lastIndex)));
-    }
-    
-    parent.replaceChild(fragment, textNode);
+  return textNodes;
+}
+
+/**
+ * Get an element's open shadow root or same-origin frame body
+ */
+function getNestedRoot(element) {
+  if (element.shadowRoot) return element.shadowRoot;
+  if (element.tagName !== 'IFRAME' && element.tagName !== 'FRAME') return null;
+  
+  // Frames that load or navigate later are scanned again then
+  if (!watchedFrames.has(element)) {
+    watchedFrames.add(element);
+    element.addEventListener('load', () => scanFrame(element));
   }
   
-  /**
-   * Create a timestamp element with appropriate display mode
-   */
-  function createTimestampElement(timestamp) {
-    const result = Converter.convert(timestamp, settings);
-    const wrapper = document.createElement('span');
-    
-    wrapper.className = `${CSS_PREFIX}-timestamp ${CSS_PREFIX}-${settings.displayMode} ${CSS_PREFIX}-style-${settings.highlightStyle}`;
-    wrapper.dataset.epochlensTimestamp = timestamp;
-    wrapper.dataset.epochlensMs = result.milliseconds;
-    
-    // Original timestamp text
-    const originalSpan = document.createElement('span');
-    originalSpan.className = `${CSS_PREFIX}-original`;
-    originalSpan.textContent = timestamp;
-    wrapper.appendChild(originalSpan);
-    
-    if (result.success) {
-      // Store tooltip text in data attribute (don't use native title - it has delay)
-      wrapper.dataset.epochlensTooltip = `${result.formatted}${result.secondaryFormatted ? '\n' + result.secondaryFormatted : ''}\n${result.relative}\n\nDouble-click to copy`;
-      
-      // Add inline badge if in inline mode
-      if (settings.displayMode === 'inline') {
-        const badge = document.createElement('span');
-        badge.className = `${CSS_PREFIX}-badge`;
-        badge.textContent = result.formatted;
-        wrapper.appendChild(badge);
-      }
-      
-      // Add hover handlers for instant tooltip
-      wrapper.addEventListener('mouseenter', showTooltip);
-      wrapper.addEventListener('mouseleave', hideTooltip);
-    } else {
-      wrapper.classList.add(`${CSS_PREFIX}-invalid`);
-      wrapper.dataset.epochlensTooltip = 'Invalid timestamp';
-      wrapper.addEventListener('mouseenter', showTooltip);
-      wrapper.addEventListener('mouseleave', hideTooltip);
-    }
-    
-    return wrapper;
+  // Cross-origin frames have no contentDocument
+  return element.contentDocument?.body || null;
+}
+
+/**
+ * Scan a frame's new document after it loads
+ */
+function scanFrame(frame) {
+  const body = frame.contentDocument?.body;
+  if (!settings.enabled || !body || nestedRoots.has(body)) return;
+  
+  attachRoot(body);
+  scanElement(body);
+}
+
+/**
+ * Start styling, observing and listening to a shadow root or frame body
+ */
+function attachRoot(root) {
+  if (nestedRoots.has(root)) return;
+  nestedRoots.add(root);
+  
+  injectStyles(root);
+  if (observer) observer.observe(root, OBSERVER_OPTIONS);
+  if (root.ownerDocument !== document) listenTo(root.ownerDocument);
+}
+
+/**
+ * Get the page body and every shadow root and frame body found so far
+ */
+function getScanRoots() {
+  return [document.body, ...nestedRoots];
+}
+
+/**
+ * Adopt the content styles into a shadow root or frame document, which the manifest CSS doesn't reach
+ */
+async function injectStyles(root) {
+  const target = root.nodeType === Node.DOCUMENT_FRAGMENT_NODE ? root : root.ownerDocument;
+  if (styledRoots.has(target)) return;
+  styledRoots.add(target);
+  
+  if (!contentCss) {
+    contentCss = fetch(chrome.runtime.getURL('src/content/content.css')).then(response => response.text());
   }
   
-  /**
-   * Show instant tooltip on hover
-   */
-  function showTooltip(event) {
-    const wrapper = event.currentTarget;
-    const text = wrapper.dataset.epochlensTooltip;
-    
-    if (!text) return;
-    
-    // Remove any existing tooltip
-    hideTooltip();
-    
-    // Create tooltip
-    const tooltip = document.createElement('div');
-    tooltip.className = `${CSS_PREFIX}-tooltip-popup`;
-    tooltip.textContent = text;
-    
-    document.body.appendChild(tooltip);
-    activeTooltip = tooltip;
-    
-    // Position tooltip
-    const rect = wrapper.getBoundingClientRect();
-    const tooltipRect = tooltip.getBoundingClientRect();
-    
-    let top = rect.bottom + window.scrollY + 6;
-    let left = rect.left + window.scrollX + (rect.width / 2) - (tooltipRect.width / 2);
-    
-    // Adjust if off-screen horizontally
-    if (left < 8) {
-      left = 8;
-    } else if (left + tooltipRect.width > window.innerWidth - 8) {
-      left = window.innerWidth - tooltipRect.width - 8;
-    }
-    
-    // Adjust if off-screen vertically (show above instead)
-    if (top + tooltipRect.height > window.innerHeight + window.scrollY) {
-      top = rect.top + window.scrollY - tooltipRect.height - 6;
-    }
-    
-    tooltip.style.top = `${top}px`;
-    tooltip.style.left = `${left}px`;
+  try {
+    // Constructed sheets can only be adopted by the document (window) that created them
+    const view = (target.ownerDocument || target).defaultView;
+    const sheet = new view.CSSStyleSheet();
+    sheet.replaceSync(await contentCss);
+    target.adoptedStyleSheets = [...target.adoptedStyleSheets, sheet];
+  } catch {
+    // The frame navigated away or the stylesheet could not be read
+    styledRoots.delete(target);
   }
+}
+
+/**
+ * Listen for copy and compare gestures and field hints in the page or a same-origin frame
+ */
+function listenTo(doc) {
+  if (listenedDocuments.has(doc)) return;
+  listenedDocuments.add(doc);
+  
+  // Set up double-click handler for copy functionality
+  doc.addEventListener('dblclick', handleTimestampClick);
+  
+  // Shift-click two timestamps to compare them
+  doc.addEventListener('click', handleDeltaClick);
   
-  /**
-   * Hide instant tooltip
-   */
-  function hideTooltip() {
-    if (activeTooltip) {
-      activeTooltip.remove();
-      activeTooltip = null;
+  // Highlights (non-invasive mode) are hit-tested instead of having their own listeners
+  doc.addEventListener('mousemove', handleHighlightHover);
+  doc.addEventListener('click', handleHighlightClick);
+  doc.addEventListener('keydown', (event) => {
+    if (event.key === 'Escape') {
+      clearDeltaSelection();
+      hideFieldHint();
     }
+  });
+  
+  // Hints for timestamps in form fields and editors (their content is never modified)
+  ['focusin', 'input', 'keyup', 'mouseup'].forEach((type) => {
+    doc.addEventListener(type, scheduleFieldHint, true);
+  });
+  doc.addEventListener('focusout', hideFieldHint, true);
+}
+
+/**
+ * Get the element an event really happened on (events from shadow roots are retargeted to the host)
+ */
+function getEventTarget(event) {
+  const [target] = event.composedPath();
+  if (!target) return null;
+  return target.nodeType === Node.ELEMENT_NODE ? target : target.parentElement;
+}
+
+/**
+ * Get the box of an element or range in the page's viewport, adding the offsets of frames it is in
+ */
+function getViewportRect(anchor) {
+  const rect = anchor.getBoundingClientRect();
+  let { top, left } = rect;
+  let view = (anchor.ownerDocument || anchor.startContainer?.ownerDocument || document).defaultView;
+  
+  while (view && view !== window && view.frameElement) {
+    const frame = view.frameElement;
+    const frameRect = frame.getBoundingClientRect();
+    top += frameRect.top + frame.clientTop;
+    left += frameRect.left + frame.clientLeft;
+    view = view.parent;
   }
   
-  /**
-   * Handle click on timestamp element
-   */
-  function handleTimestampClick(event) {
-    const wrapper = event.target.closest(`.${CSS_PREFIX}-timestamp`);
-    if (!wrapper) return;
-    
-    const timestamp = wrapper.dataset.epochlensTimestamp;
-    const result = Converter.convert(timestamp, settings);
-    
-    if (result.success) {
-      copyToClipboard(result.formatted);
-      showCopyFeedback(wrapper);
-    }
+  return { top, left, bottom: top + rect.height, right: left + rect.width, width: rect.width, height: rect.height };
+}
+
+/**
+ * TreeWalker filter for text nodes that may contain timestamps
+ */
+function acceptTextNode(node) {
+  const parent = node.parentNode;
+  if (!parent) return NodeFilter.FILTER_REJECT;
+  
+  // Skip certain elements
+  if (SKIP_ELEMENTS.includes(parent.tagName)) {
+    return NodeFilter.FILTER_REJECT;
   }
   
-  /**
-   * Copy text to clipboard
-   */
-  async function copyToClipboard(text) {
-    try {
-      await navigator.clipboard.writeText(text);
-    } catch {
-      // Fallback for older browsers
-      const textarea = document.createElement('textarea');
-      textarea.value = text;
-      textarea.style.position = 'fixed';
-      textarea.style.opacity = '0';
-      document.body.appendChild(textarea);
-      textarea.select();
-      document.execCommand('copy');
-      document.body.removeChild(textarea);
-    }
+  // Skip already processed nodes
+  if (parent.classList && parent.classList.contains(`${CSS_PREFIX}-timestamp`)) {
+    return NodeFilter.FILTER_REJECT;
+  }
+  if (Highlights.has(node)) {
+    return NodeFilter.FILTER_REJECT;
   }
   
-  /**
-   * Show visual feedback when copying
-   */
-  function showCopyFeedback(element) {
-    element.classList.add(`${CSS_PREFIX}-copied`);
-    setTimeout(() => {
-      element.classList.remove(`${CSS_PREFIX}-copied`);
-    }, 1000);
+  // Skip the extension's own UI
+  if (parent.closest?.(OVERLAY_SELECTOR)) {
+    return NodeFilter.FILTER_REJECT;
   }
   
-  /**
-   * Update the extension badge with timestamp count
-   */
-  function updateBadge() {
-    if (settings.showBadgeCount) {
-      chrome.runtime.sendMessage({
-        type: MESSAGE_TYPES.UPDATE_BADGE,
-        count: timestampCount
-      });
-    }
+  // Skip if no potential timestamps
+  if (!hasCandidate(node.nodeValue)) {
+    return NodeFilter.FILTER_REJECT;
   }
   
-  /**
-   * Set up mutation observer for dynamic content
-   */
-  function setupMutationObserver() {
-    if (observer) {
-      observer.disconnect();
-    }
-    
-    if (!settings.autoScan) return;
-    
-    observer = new MutationObserver((mutations) => {
-      // Debounce scanning
-      if (scanTimeout) {
-        clearTimeout(scanTimeout);
+  // Editors are handled by the field hint instead of being rewritten
+  if (parent.isContentEditable || parent.closest(EDITOR_SELECTOR)) {
+    return NodeFilter.FILTER_REJECT;
+  }
+  
+  return NodeFilter.FILTER_ACCEPT;
+}
+
+/**
+ * Quick check whether text may contain something worth converting
+ */
+function hasCandidate(text) {
+  if (TIMESTAMP_CANDIDATE.test(text)) return true;
+  if (settings.detectDateStrings && DATE_STRING_CANDIDATES.some(regex => regex.test(text))) return true;
+  if (settings.reverseMode && DateParser.hasCandidate(text)) return true;
+  return settings.highlightIds && ID_CANDIDATES.some(regex => regex.test(text));
+}
+
+/**
+ * Find all convertible values in text, in order and without overlaps
+ */
+function findMatches(text, textNode) {
+  const timestamps = Converter.findTimestamps(text, settings);
+  const matches = scoreMatches(textNode, text, timestamps)
+    .map(match => ({ ...match, kind: 'epoch' }));
+  
+  // Reverse mode: human-readable dates, ahead of date strings so a shared match gets the epoch badge
+  if (settings.reverseMode) {
+    DateParser.find(text, { timezone: settings.reverseTimezone, dateOrder: settings.dateOrder }).forEach((match) => {
+      if (Converter.isInRange(match.ms, settings)) {
+        matches.push({ ...match, kind: 'human' });
       }
-      
-      scanTimeout = setTimeout(() => {
-        mutations.forEach((mutation) => {
-          mutation.addedNodes.forEach((node) => {
-            if (node.nodeType === Node.ELEMENT_NODE) {
-              scanElement(node);
-            } else if (node.nodeType === Node.TEXT_NODE) {
-              processTextNode(node);
-            }
-          });
-        });
-        updateBadge();
-      }, settings.scanDelay);
-    });
-    
-    observer.observe(document.body, {
-      childList: true,
-      subtree: true
     });
   }
   
-  /**
-   * Scan a specific element for timestamps
-   */
-  function scanElement(element) {
-    if (SKIP_ELEMENTS.includes(element.tagName)) return;
-    if (element.classList && element.classList.contains(`${CSS_PREFIX}-timestamp`)) return;
-    
-    const walker = document.createTreeWalker(
-      element,
-      NodeFilter.SHOW_TEXT,
-      {
-        acceptNode: (node) => {
-          const parent = node.parentNode;
-          if (!parent) return NodeFilter.FILTER_REJECT;
-          if (SKIP_ELEMENTS.includes(parent.tagName)) return NodeFilter.FILTER_REJECT;
-          if (parent.classList && parent.classList.contains(`${CSS_PREFIX}-timestamp`)) {
-            return NodeFilter.FILTER_REJECT;
-          }
-          if (!Constants.TIMESTAMP_REGEX.test(node.nodeValue)) {
-            return NodeFilter.FILTER_REJECT;
-          }
-          return NodeFilter.FILTER_ACCEPT;
-        }
-      }
-    );
-    
-    const textNodes = [];
-    let node;
-    while (node = walker.nextNode()) {
-      textNodes.push(node);
-    }
-    
-    textNodes.forEach(processTextNode);
+  if (settings.detectDateStrings) {
+    Converter.findDateStrings(text, settings).forEach((match) => {
+      matches.push({ ...match, kind: 'date' });
+    });
   }
   
-  /**
-   * Clean up all timestamp wrappers
-   */
-  function cleanup() {
-    // Remove all timestamp wrappers
-    document.querySelectorAll(`.${CSS_PREFIX}-timestamp`).forEach((wrapper) => {
-      const text = wrapper.dataset.epochlensTimestamp;
-      const textNode = document.createTextNode(text);
-      wrapper.parentNode.replaceChild(textNode, wrapper);
+  // IDs come last so a value that is also a valid epoch stays an epoch
+  if (settings.highlightIds) {
+    Converter.findIds(text, settings).forEach((match) => {
+      matches.push({ ...match, kind: 'id' });
     });
-    
-    // Remove tooltip if visible
-    hideTooltip();
-    
-    // Reset count
-    timestampCount = 0;
-    updateBadge();
-    
-    // Disconnect observer
-    if (observer) {
-      observer.disconnect();
-      observer = null;
-    }
   }
   
-  // Initialize when DOM is ready
-  if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', init);
-  } else {
-    init();
+  matches.sort((a, b) => a.index - b.index);
+  
+  let lastEnd = 0;
+  return matches.filter((match) => {
+    if (match.index < lastEnd) return false;
+    lastEnd = match.index + match.length;
+    return true;
+  });
+}
+
+/**
+ * Score numeric matches against their surrounding text and drop or flag unlikely ones
+ */
+function scoreMatches(textNode, text, matches) {
+  if (!settings.heuristicFiltering || matches.length === 0) return matches;
+  
+  // Field values (no text node) are scored on their own
+  const { before, after } = textNode ? getSurroundingText(textNode) : { before: '', after: '' };
+  const shifted = matches.map(match => ({ ...match, index: match.index + before.length }));
+  
+  return Heuristics.filter(before + text + after, shifted, settings)
+    .map(match => ({ ...match, index: match.index - before.length }));
+}
+
+/**
+ * Collect text around a node within its block container (JSON keys, labels, URLs)
+ */
+function getSurroundingText(textNode) {
+  const container = textNode.parentElement?.closest('p, li, td, th, dd, dt, pre, code, div') ||
+    textNode.parentNode;
+  
+  const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT, {
+    acceptNode: (node) => node.parentNode.classList?.contains(`${CSS_PREFIX}-badge`)
+      ? NodeFilter.FILTER_REJECT
+      : NodeFilter.FILTER_ACCEPT
+  });
+  
+  let before = '';
+  walker.currentNode = textNode;
+  while (before.length < Heuristics.CONTEXT_BEFORE && walker.previousNode()) {
+    before = walker.currentNode.nodeValue + before;
+  }
+  
+  let after = '';
+  walker.currentNode = textNode;
+  while (after.length < Heuristics.CONTEXT_AFTER && walker.nextNode()) {
+    after += walker.currentNode.nodeValue;
+  }
+  
+  return {
+    before: before.slice(-Heuristics.CONTEXT_BEFORE),
+    after: after.slice(0, Heuristics.CONTEXT_AFTER)
+  };
+}
+
+/**
+ * Convert a matched value according to its kind
+ */
+function convertValue(value, kind) {
+  switch (kind) {
+    case 'date':
+      return Converter.convertDateString(value, settings);
+    case 'id':
+      return Converter.convertId(value, settings);
+    case 'human':
+      return Converter.convertHumanDate(value, settings);
+    default:
+      return Converter.convert(value, settings);
   }
-})();
+}
+
+/**
+ * Process a text node and wrap timestamps, returning the new wrappers
+ */
+function processTextNode(textNode) {
+  const text = textNode.nodeValue;
+  const matches = findMatches(text, textNode);
+  
+  if (matches.length === 0) return [];
+  
+  const parent = textNode.parentNode;
+  if (!parent) return [];
+  
+  // Non-invasive mode leaves the text node alone and marks ranges in it (marks have no durations)
+  if (isNonInvasive()) {
+    matches.forEach(match => liveTimestamps.add(highlightMatch(textNode, match)));
+    return [];
+  }
+  
+  const wrappers = [];
+  
+  const fragment = document.createDocumentFragment();
+  let lastIndex = 0;
+  
+  matches.forEach((match) => {
+    const { value, index, kind } = match;
+    
+    // Text before timestamp
+    if (index > lastIndex) {
+      fragment.appendChild(document.createTextNode(text.slice(lastIndex, index)));
+    }
+    
+    // Create timestamp wrapper
+    const wrapper = createTimestampElement(value, kind, match);
+    fragment.appendChild(wrapper);
+    liveTimestamps.add(wrapper);
+    wrappers.push(wrapper);
+    
+    lastIndex = index + value.length;
+  });
+  
+  // Remaining text
+  if (lastIndex < text.length) {
+    fragment.appendChild(document.createTextNode(text.slice(lastIndex)));
+  }
+  
+  parent.replaceChild(fragment, textNode);
+  return wrappers;
+}
+
+/**
+ * Create a timestamp element with appropriate display mode
+ */
+function createTimestampElement(timestamp, kind = 'epoch', match = {}) {
+  const result = convertValue(timestamp, kind);
+  const wrapper = document.createElement('span');
+  
+  wrapper.className = `${CSS_PREFIX}-timestamp ${CSS_PREFIX}-${settings.displayMode} ${CSS_PREFIX}-style-${settings.highlightStyle}`;
+  wrapper.dataset.epochlensTimestamp = timestamp;
+  wrapper.dataset.epochlensKind = kind;
+  if (result.success) wrapper.dataset.epochlensMs = result.milliseconds;
+  
+  // Original timestamp text
+  const originalSpan = document.createElement('span');
+  originalSpan.className = `${CSS_PREFIX}-original`;
+  originalSpan.textContent = timestamp;
+  wrapper.appendChild(originalSpan);
+  
+  // Store tooltip text in data attribute (don't use native title - it has delay)
+  wrapper.dataset.epochlensTooltip = getTooltipText(result, kind, match);
+  
+  if (result.success) {
+    // Dim matches the heuristics consider unlikely to be timestamps
+    if (match.lowConfidence) {
+      wrapper.classList.add(`${CSS_PREFIX}-low-confidence`);
+    }
+    
+    // Floating mode opens a pinned details card on click
+    if (settings.displayMode === DISPLAY_MODES.FLOATING) {
+      wrapper.addEventListener('click', showDetailsCard);
+    }
+    
+    // Reverse mode annotates dates with their epoch value
+    if (kind === 'human') {
+      const epochBadge = document.createElement('span');
+      epochBadge.className = `${CSS_PREFIX}-badge ${CSS_PREFIX}-badge-epoch`;
+      epochBadge.textContent = getEpochText(result);
+      wrapper.appendChild(epochBadge);
+    }
+    
+    // Add inline badge if in inline mode (dates already show their epoch instead)
+    if (settings.displayMode === DISPLAY_MODES.INLINE && kind !== 'human') {
+      const badge = document.createElement('span');
+      badge.className = `${CSS_PREFIX}-badge`;
+      badge.textContent = result.formatted;
+      wrapper.appendChild(badge);
+      
+      result.secondary.forEach(({ label, formatted }) => {
+        const secondaryBadge = document.createElement('span');
+        secondaryBadge.className = `${CSS_PREFIX}-badge ${CSS_PREFIX}-badge-secondary`;
+        secondaryBadge.textContent = `${label}: ${formatted}`;
+        wrapper.appendChild(secondaryBadge);
+      });
+    }
+    
+    // Add hover handlers for instant tooltip
+    wrapper.addEventListener('mouseenter', showTooltip);
+    wrapper.addEventListener('mouseleave', hideTooltip);
+  } else {
+    wrapper.classList.add(`${CSS_PREFIX}-invalid`);
+    wrapper.addEventListener('mouseenter', showTooltip);
+    wrapper.addEventListener('mouseleave', hideTooltip);
+  }
+  
+  return wrapper;
+}
+
+/**
+ * Build the hover text for a converted value
+ */
+function getTooltipText(result, kind, match = {}) {
+  if (!result.success) return 'Invalid timestamp';
+  
+  const lines = [result.formatted];
+  result.secondary.forEach(({ label, formatted }) => lines.push(`${label}: ${formatted}`));
+  if (result.isoPrecise) lines.push(`${result.isoPrecise}${result.unit ? ` (${result.unit})` : ''}`);
+  if (kind === 'id') {
+    lines.push(result.idName, ...result.idFields.map(field => `${field.label}: ${field.value}`));
+  }
+  if (kind !== 'epoch') lines.push(`Epoch: ${result.seconds} s · ${result.milliseconds} ms`);
+  if (result.assumedTimezone) lines.push(`Read as ${Timezones.getLabel(result.assumedTimezone)}`);
+  lines.push(result.relative);
+  
+  if (match.lowConfidence) {
+    lines.push(`Low confidence (${Math.round(match.confidence * 100)}%): ${match.reasons.join(', ')}`);
+  }
+  
+  const floating = settings.displayMode === DISPLAY_MODES.FLOATING;
+  const copyHint = kind === 'human' ? 'Double-click to copy epoch' : 'Double-click to copy';
+  lines.push('', floating ? `Click for details · ${copyHint}` : copyHint);
+  return lines.join('\n');
+}
+
+/**
+ * Check if timestamps are marked with highlights instead of wrapper elements
+ */
+function isNonInvasive() {
+  return settings.nonInvasiveMode && Highlights.isSupported();
+}
+
+/**
+ * Mark a match with a highlight range instead of a wrapper (non-invasive mode), returning the mark
+ */
+function highlightMatch(textNode, match) {
+  const { value, index, kind } = match;
+  const result = convertValue(value, kind);
+  
+  let name = `${CSS_PREFIX}-${settings.highlightStyle}`;
+  if (!result.success) {
+    name = `${CSS_PREFIX}-invalid`;
+  } else if (match.lowConfidence) {
+    name = `${CSS_PREFIX}-low-confidence`;
+  }
+  
+  return Highlights.add(textNode, index, index + value.length, name, {
+    value,
+    kind,
+    lowConfidence: Boolean(match.lowConfidence),
+    tooltip: getTooltipText(result, kind, match)
+  });
+}
+
+/**
+ * Find the highlighted timestamp under the pointer (non-invasive mode)
+ */
+function findMarkAt(event) {
+  if (!Highlights.hasMarks()) return null;
+  
+  const doc = getEventTarget(event)?.ownerDocument || document;
+  const shadowRoots = [...nestedRoots].filter(root => root.nodeType === Node.DOCUMENT_FRAGMENT_NODE);
+  return Highlights.hitTest(doc, event.clientX, event.clientY, shadowRoots);
+}
+
+/**
+ * Show the tooltip for the highlight under the pointer (highlights have no mouseenter)
+ */
+function handleHighlightHover(event) {
+  if (!Highlights.hasMarks()) return;
+  
+  const mark = findMarkAt(event);
+  if (mark === Highlights.getHover()) return;
+  
+  Highlights.setHover(mark);
+  if (mark) {
+    openTooltip(mark.range, mark.tooltip);
+  } else {
+    hideTooltip();
+  }
+}
+
+/**
+ * Open the details card for a clicked highlight in floating mode
+ */
+function handleHighlightClick(event) {
+  if (event.shiftKey || settings.displayMode !== DISPLAY_MODES.FLOATING) return;
+  
+  const mark = findMarkAt(event);
+  if (mark && openDetailsCard(mark.range, mark.value, mark.kind)) {
+    event.preventDefault();
+  }
+}
+
+/**
+ * Show instant tooltip on hover
+ */
+function showTooltip(event) {
+  const wrapper = event.currentTarget;
+  openTooltip(wrapper, wrapper.dataset.epochlensTooltip);
+}
+
+/**
+ * Show a tooltip under a wrapper or highlighted range
+ */
+function openTooltip(anchor, text) {
+  if (!text) return;
+  
+  // Remove any existing tooltip
+  hideTooltip();
+  
+  // Create tooltip
+  const tooltip = document.createElement('div');
+  tooltip.className = `${CSS_PREFIX}-tooltip-popup`;
+  tooltip.textContent = text;
+  
+  document.body.appendChild(tooltip);
+  activeTooltip = tooltip;
+  positionBelow(tooltip, anchor);
+}
+
+/**
+ * Position an absolutely positioned popup under an element or range, flipping above near the bottom
+ */
+function positionBelow(tooltip, anchor) {
+  const rect = getViewportRect(anchor);
+  const tooltipRect = tooltip.getBoundingClientRect();
+  
+  let top = rect.bottom + window.scrollY + 6;
+  let left = rect.left + window.scrollX + (rect.width / 2) - (tooltipRect.width / 2);
+  
+  // Adjust if off-screen horizontally
+  if (left < 8) {
+    left = 8;
+  } else if (left + tooltipRect.width > window.innerWidth - 8) {
+    left = window.innerWidth - tooltipRect.width - 8;
+  }
+  
+  // Adjust if off-screen vertically (show above instead)
+  if (top + tooltipRect.height > window.innerHeight + window.scrollY) {
+    top = rect.top + window.scrollY - tooltipRect.height - 6;
+  }
+  
+  tooltip.style.top = `${top}px`;
+  tooltip.style.left = `${left}px`;
+}
+
+/**
+ * Hide instant tooltip
+ */
+function hideTooltip() {
+  if (activeTooltip) {
+    activeTooltip.remove();
+    activeTooltip = null;
+  }
+}
+
+/**
+ * Open the floating details card for a timestamp (one card at a time)
+ */
+function showDetailsCard(event) {
+  // Shift-click is for comparing timestamps
+  if (event.shiftKey) return;
+  
+  const wrapper = event.currentTarget;
+  
+  // Keep links around the timestamp from navigating away
+  if (openDetailsCard(wrapper, wrapper.dataset.epochlensTimestamp, wrapper.dataset.epochlensKind)) {
+    event.preventDefault();
+  }
+}
+
+/**
+ * Build the details card under a wrapper or highlighted range, returning false if the value doesn't convert
+ */
+function openDetailsCard(anchor, value, kind) {
+  const result = convertValue(value, kind);
+  if (!result.success) return false;
+  
+  hideTooltip();
+  hideDetailsCard();
+  
+  const card = document.createElement('div');
+  card.className = `${CSS_PREFIX}-popup`;
+  card.setAttribute('role', 'dialog');
+  
+  // Header doubles as the drag handle
+  const header = document.createElement('div');
+  header.className = `${CSS_PREFIX}-popup-header`;
+  
+  const title = document.createElement('span');
+  title.className = `${CSS_PREFIX}-popup-title`;
+  title.textContent = kind === 'id' ? result.idName : value;
+  
+  const close = document.createElement('button');
+  close.className = `${CSS_PREFIX}-popup-close`;
+  close.title = 'Close';
+  close.textContent = '×';
+  close.addEventListener('click', hideDetailsCard);
+  
+  header.append(title, close);
+  card.appendChild(header);
+  
+  const { date, milliseconds, subMillisecond } = result;
+  const rows = [[Timezones.getLabel(settings.timezone), result.formatted]];
+  
+  if (settings.timezone !== 'UTC') {
+    rows.push(['UTC', Converter.formatDate(date, { ...settings, timezone: 'UTC' })]);
+  }
+  result.secondary.forEach(({ label, formatted }) => rows.push([label, formatted]));
+  rows.push(
+    ['ISO 8601', result.isoPrecise || date.toISOString()],
+    ['Relative', result.relative],
+    ['Seconds', String(result.seconds)],
+    ['Milliseconds', subMillisecond ? `${milliseconds}.${subMillisecond}` : String(milliseconds)]
+  );
+  if (kind === 'id') {
+    result.idFields.forEach(({ label, value }) => rows.push([label, value]));
+  }
+  
+  rows.forEach(([label, value]) => card.appendChild(createCardRow(label, value)));
+  
+  document.body.appendChild(card);
+  activeCard = card;
+  
+  // Open below the timestamp, kept inside the viewport
+  const rect = getViewportRect(anchor);
+  const cardRect = card.getBoundingClientRect();
+  const left = Math.min(Math.max(8, rect.left), window.innerWidth - cardRect.width - 8);
+  const top = rect.bottom + 6 + cardRect.height > window.innerHeight
+    ? rect.top - cardRect.height - 6
+    : rect.bottom + 6;
+  
+  card.style.left = `${Math.max(8, left)}px`;
+  card.style.top = `${Math.max(8, top)}px`;
+  
+  makeDraggable(card, header);
+  document.addEventListener('keydown', handleCardKeydown);
+  return true;
+}
+
+/**
+ * Create a labeled value row with its own copy button
+ */
+function createCardRow(label, value) {
+  const row = document.createElement('div');
+  row.className = `${CSS_PREFIX}-popup-row ${CSS_PREFIX}-copyable`;
+  
+  const name = document.createElement('span');
+  name.className = `${CSS_PREFIX}-popup-label`;
+  name.textContent = label;
+  
+  const text = document.createElement('span');
+  text.className = `${CSS_PREFIX}-popup-value`;
+  text.textContent = value;
+  
+  const copy = document.createElement('button');
+  copy.className = `${CSS_PREFIX}-popup-copy`;
+  copy.title = `Copy ${label}`;
+  copy.textContent = 'Copy';
+  copy.addEventListener('click', () => {
+    copyToClipboard(value);
+    showCopyFeedback(row);
+  });
+  
+  row.append(name, text, copy);
+  return row;
+}
+
+/**
+ * Move the card while its handle is dragged
+ */
+function makeDraggable(card, handle) {
+  handle.addEventListener('mousedown', (event) => {
+    if (event.button !== 0 || event.target.closest('button')) return;
+    event.preventDefault();
+    
+    const offsetX = event.clientX - card.offsetLeft;
+    const offsetY = event.clientY - card.offsetTop;
+    
+    const onMove = (moveEvent) => {
+      const maxLeft = window.innerWidth - card.offsetWidth;
+      const maxTop = window.innerHeight - card.offsetHeight;
+      card.style.left = `${Math.min(Math.max(0, moveEvent.clientX - offsetX), maxLeft)}px`;
+      card.style.top = `${Math.min(Math.max(0, moveEvent.clientY - offsetY), maxTop)}px`;
+    };
+    
+    const onUp = () => {
+      document.removeEventListener('mousemove', onMove);
+      document.removeEventListener('mouseup', onUp);
+      card.classList.remove(`${CSS_PREFIX}-popup-dragging`);
+    };
+    
+    card.classList.add(`${CSS_PREFIX}-popup-dragging`);
+    document.addEventListener('mousemove', onMove);
+    document.addEventListener('mouseup', onUp);
+  });
+}
+
+/**
+ * Close the details card with Escape
+ */
+function handleCardKeydown(event) {
+  if (event.key === 'Escape') {
+    hideDetailsCard();
+  }
+}
+
+/**
+ * Close the floating details card
+ */
+function hideDetailsCard() {
+  if (activeCard) {
+    activeCard.remove();
+    activeCard = null;
+    document.removeEventListener('keydown', handleCardKeydown);
+  }
+}
+
+/**
+ * Check if a wrapper holds a successfully converted time
+ */
+function hasTime(wrapper) {
+  return !wrapper.classList.contains(`${CSS_PREFIX}-invalid`) &&
+    Number.isFinite(Number(wrapper.dataset.epochlensMs));
+}
+
+/**
+ * Check if a wrapper may be paired automatically (IDs and unlikely matches are left alone)
+ */
+function isPairable(wrapper) {
+  return hasTime(wrapper) &&
+    wrapper.dataset.epochlensKind !== 'id' &&
+    !wrapper.classList.contains(`${CSS_PREFIX}-low-confidence`);
+}
+
+/**
+ * Get the table row, or else the closest block, a timestamp belongs to
+ */
+function getPairContainer(element) {
+  // Timestamps placed directly in a shadow root pair within the root
+  return element.closest('tr') || element.closest(PAIR_CONTAINERS) || element.parentElement || element.parentNode;
+}
+
+/**
+ * Show the elapsed time between newly wrapped timestamps and their neighbours in the same row, line or block
+ */
+function annotateDurations(wrappers) {
+  if (!settings.showDurations) return;
+  
+  wrappers.forEach((wrapper) => {
+    if (!wrapper.isConnected || !isPairable(wrapper)) return;
+    
+    // A timestamp scanned between two others splits the pair they formed
+    const container = getPairContainer(wrapper);
+    const next = findPairable(container, wrapper, 'nextNode');
+    if (next) setDelta(container, wrapper, next);
+    setDelta(container, findPairable(container, wrapper, 'previousNode'), wrapper);
+  });
+}
+
+/**
+ * Find the closest pairable timestamp of the same container before or after a wrapper
+ */
+function findPairable(container, wrapper, direction) {
+  // Rows and blocks nested in the container pair on their own
+  const nested = container.tagName === 'TR' ? 'tr' : `tr, ${PAIR_CONTAINERS}`;
+  
+  const walker = wrapper.ownerDocument.createTreeWalker(container, NodeFilter.SHOW_ELEMENT, {
+    acceptNode(node) {
+      if (node.classList.contains(`${CSS_PREFIX}-timestamp`)) {
+        return isPairable(node) && getPairContainer(node) === container ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_REJECT;
+      }
+      return node.matches(nested) ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_SKIP;
+    }
+  });
+  
+  walker.currentNode = wrapper;
+  return walker[direction]();
+}
+
+/**
+ * Replace the duration badge after a timestamp with the time since the one before it, if they pair
+ */
+function setDelta(container, start, end) {
+  deltaBadges.get(end)?.remove();
+  deltaBadges.delete(end);
+  if (!start || !isPair(container, start, end)) return;
+  
+  const badge = document.createElement('span');
+  badge.className = `${CSS_PREFIX}-delta`;
+  badge.textContent = `Δ ${Converter.formatDuration(end.dataset.epochlensMs - start.dataset.epochlensMs)}`;
+  badge.title = `Elapsed from ${start.dataset.epochlensTimestamp} to ${end.dataset.epochlensTimestamp}`;
+  end.after(badge);
+  deltaBadges.set(end, badge);
+}
+
+/**
+ * Check if two adjacent timestamps are in the same table row, text line or JSON object
+ */
+function isPair(container, start, end) {
+  if (container.tagName === 'TR') return true;
+  
+  const between = getTextBetween(container, start, end);
+  
+  if (!between.includes('\n')) return true;
+  
+  // Pretty-printed JSON: both are key values with no object or array boundary between them
+  return !/[{}[\]]/.test(between) && isJsonValue(container, start) && isJsonValue(container, end);
+}
+
+/**
+ * Check if a timestamp directly follows a JSON key ("key": or "key": ")
+ */
+function isJsonValue(container, wrapper) {
+  return /"\s*:\s*"?$/.test(getTextBefore(container, wrapper, 40));
+}
+
+/**
+ * Get the container's text between two wrappers (walked node by node, so it stays cheap in huge blocks)
+ */
+function getTextBetween(container, start, end) {
+  const walker = start.ownerDocument.createTreeWalker(container, NodeFilter.SHOW_TEXT);
+  let text = '';
+  
+  walker.currentNode = start;
+  while (walker.nextNode()) {
+    const node = walker.currentNode;
+    if (end.contains(node)) break;
+    if (!start.contains(node)) text += node.nodeValue;
+  }
+  
+  return text;
+}
+
+/**
+ * Get up to some characters of the container's text right before a wrapper
+ */
+function getTextBefore(container, wrapper, length) {
+  const walker = wrapper.ownerDocument.createTreeWalker(container, NodeFilter.SHOW_TEXT);
+  let text = '';
+  
+  walker.currentNode = wrapper;
+  while (text.length < length && walker.previousNode()) {
+    text = walker.currentNode.nodeValue + text;
+  }
+  
+  return text.slice(-length);
+}
+
+/**
+ * Select timestamps with shift-click and report the difference between two of them
+ */
+function handleDeltaClick(event) {
+  const wrapper = event.shiftKey && getEventTarget(event)?.closest(`.${CSS_PREFIX}-timestamp`);
+  
+  // Any other click ends the comparison
+  if (!wrapper || !hasTime(wrapper)) {
+    clearDeltaSelection();
+    return;
+  }
+  
+  event.preventDefault();
+  window.getSelection().removeAllRanges();
+  
+  if (wrapper === deltaStart && !deltaPopup) {
+    clearDeltaSelection();
+  } else if (!deltaStart || deltaPopup) {
+    clearDeltaSelection();
+    deltaStart = wrapper;
+    wrapper.classList.add(`${CSS_PREFIX}-selected`);
+  } else {
+    deltaEnd = wrapper;
+    wrapper.classList.add(`${CSS_PREFIX}-selected`);
+    showDeltaPopup(deltaStart, wrapper);
+  }
+}
+
+/**
+ * Show the difference between two selected timestamps under the second one
+ */
+function showDeltaPopup(start, end) {
+  const from = convertValue(start.dataset.epochlensTimestamp, start.dataset.epochlensKind);
+  const to = convertValue(end.dataset.epochlensTimestamp, end.dataset.epochlensKind);
+  const diff = to.milliseconds - from.milliseconds;
+  
+  hideTooltip();
+  
+  const popup = document.createElement('div');
+  popup.className = `${CSS_PREFIX}-tooltip-popup ${CSS_PREFIX}-delta-popup`;
+  popup.textContent = [
+    `Δ ${Converter.formatDuration(diff)}`,
+    `From: ${from.formatted}`,
+    `To: ${to.formatted}`,
+    `${diff} ms`,
+    '',
+    'Esc or click elsewhere to clear'
+  ].join('\n');
+  
+  document.body.appendChild(popup);
+  deltaPopup = popup;
+  positionBelow(popup, end);
+}
+
+/**
+ * Clear the shift-click selection and its popup
+ */
+function clearDeltaSelection() {
+  if (!deltaStart) return;
+  
+  deltaStart.classList.remove(`${CSS_PREFIX}-selected`);
+  deltaEnd?.classList.remove(`${CSS_PREFIX}-selected`);
+  
+  if (deltaPopup) {
+    deltaPopup.remove();
+    deltaPopup = null;
+  }
+  
+  deltaStart = null;
+  deltaEnd = null;
+}
+
+/**
+ * Handle click on timestamp element
+ */
+function handleTimestampClick(event) {
+  const wrapper = getEventTarget(event)?.closest(`.${CSS_PREFIX}-timestamp`);
+  const mark = wrapper ? null : findMarkAt(event);
+  if (!wrapper && !mark) return;
+  
+  const timestamp = wrapper ? wrapper.dataset.epochlensTimestamp : mark.value;
+  const kind = wrapper ? wrapper.dataset.epochlensKind : mark.kind;
+  const result = convertValue(timestamp, kind);
+  
+  if (result.success) {
+    // Reverse mode copies the epoch, everything else the formatted date
+    const copied = kind === 'human' ? getEpochText(result) : result.formatted;
+    copyToClipboard(copied);
+    
+    if (settings.keepHistory) {
+      chrome.runtime.sendMessage({
+        type: MESSAGE_TYPES.ADD_HISTORY,
+        entry: {
+          input: timestamp,
+          output: copied,
+          type: getTypeLabel(kind, result),
+          source: 'page',
+          url: location.href
+        }
+      }).catch(() => {});
+    }
+    
+    if (wrapper) {
+      showCopyFeedback(wrapper);
+    } else {
+      Highlights.flash(mark, `${CSS_PREFIX}-copied`, 1000);
+    }
+  }
+}
+
+/**
+ * Get a converted date's epoch in the unit chosen for reverse mode
+ */
+function getEpochText(result) {
+  return String(settings.reverseUnit === 'milliseconds' ? result.milliseconds : result.seconds);
+}
+
+/**
+ * Copy text to clipboard
+ */
+async function copyToClipboard(text) {
+  try {
+    await navigator.clipboard.writeText(text);
+  } catch {
+    // Fallback for older browsers
+    const textarea = document.createElement('textarea');
+    textarea.value = text;
+    textarea.style.position = 'fixed';
+    textarea.style.opacity = '0';
+    document.body.appendChild(textarea);
+    textarea.select();
+    document.execCommand('copy');
+    document.body.removeChild(textarea);
+  }
+}
+
+/**
+ * Show visual feedback when copying
+ */
+function showCopyFeedback(element) {
+  element.classList.add(`${CSS_PREFIX}-copied`);
+  setTimeout(() => {
+    element.classList.remove(`${CSS_PREFIX}-copied`);
+  }, 1000);
+}
+
+/**
+ * Update the field hint shortly after typing, clicking or focusing
+ */
+function scheduleFieldHint(event) {
+  if (!settings.enabled || !settings.scanEditableFields || event.key === 'Escape') return;
+  
+  clearTimeout(fieldHintTimeout);
+  fieldHintTimeout = setTimeout(updateFieldHint, 80);
+}
+
+/**
+ * Show a hint for the timestamp at the caret of the focused field, or hide it
+ */
+function updateFieldHint() {
+  const caret = getFieldCaret(getFocusedElement());
+  const match = caret && findFieldMatch(caret);
+  const result = match && convertValue(match.value, match.kind);
+  
+  if (!result || !result.success) {
+    hideFieldHint();
+    return;
+  }
+  
+  showFieldHint(result, match, caret);
+}
+
+/**
+ * Get the focused element, looking inside shadow roots and same-origin frames
+ * (document.activeElement stops at their host or frame element)
+ */
+function getFocusedElement() {
+  let element = document.activeElement;
+  
+  while (element) {
+    // Cross-origin frames have no contentDocument
+    const inner = element.shadowRoot?.activeElement || element.contentDocument?.activeElement;
+    if (!inner || inner === element.contentDocument?.body) break;
+    element = inner;
+  }
+  
+  return element;
+}
+
+/**
+ * Read the text and caret offset of an editable element
+ * @returns {{text: string, offset: number|null, node: Text|null, element: Element, single: boolean}|null}
+ */
+function getFieldCaret(element) {
+  if (!element) return null;
+  
+  const isTextField = element.tagName === 'TEXTAREA' ||
+    (element.tagName === 'INPUT' && TEXT_INPUT_TYPES.includes(element.type));
+  
+  if (isTextField) {
+    // Monaco, CodeMirror 5 and Ace type into a hidden textarea; read their rendered text instead
+    const editor = element.closest(EDITOR_SELECTOR);
+    if (editor) return getRenderedCaret(editor);
+    
+    // Number inputs have no caret position
+    let offset = null;
+    try {
+      offset = element.selectionStart;
+    } catch {}
+    
+    return { text: element.value, offset, node: null, element, single: element.tagName === 'INPUT' };
+  }
+  
+  if (element.isContentEditable) {
+    // Shadow roots and frames keep their own selection
+    const root = element.getRootNode();
+    const selection = root.getSelection ? root.getSelection() : window.getSelection();
+    const node = selection.focusNode;
+    if (!node || node.nodeType !== Node.TEXT_NODE) return null;
+    
+    return { text: node.nodeValue, offset: selection.focusOffset, node, element, single: false };
+  }
+  
+  return null;
+}
+
+/**
+ * Find the rendered text under an editor's visible cursor
+ */
+function getRenderedCaret(editor) {
+  const cursor = editor.querySelector(EDITOR_CURSOR_SELECTOR);
+  const doc = editor.ownerDocument;
+  if (!cursor || !doc.caretRangeFromPoint) return null;
+  
+  // Just right of the cursor bar lands on the caret's character boundary
+  const rect = cursor.getBoundingClientRect();
+  const range = doc.caretRangeFromPoint(rect.right + 1, rect.top + rect.height / 2);
+  if (!range || range.startContainer.nodeType !== Node.TEXT_NODE) return null;
+  
+  const node = range.startContainer;
+  return { text: node.nodeValue, offset: range.startOffset, node, element: editor, single: false };
+}
+
+/**
+ * Find the match under the caret (inputs fall back to the first match in their value)
+ */
+function findFieldMatch({ text, offset, single }) {
+  if (offset === null) {
+    return findMatches(text.slice(0, FIELD_WINDOW * 2), null)[0] || null;
+  }
+  
+  // Only search around the caret, so long textareas stay cheap
+  const start = Math.max(0, offset - FIELD_WINDOW);
+  const matches = findMatches(text.slice(start, offset + FIELD_WINDOW), null)
+    .map(match => ({ ...match, index: match.index + start }));
+  
+  const atCaret = matches.find(match => offset >= match.index && offset <= match.index + match.length);
+  return atCaret || (single ? matches[0] : null) || null;
+}
+
+/**
+ * Show the conversion under the field or next to the matched text; click copies it
+ */
+function showFieldHint(result, match, caret) {
+  hideFieldHint();
+  
+  const copyText = match.kind === 'human' ? getEpochText(result) : result.formatted;
+  const lines = [result.formatted];
+  result.secondary.forEach(({ label, formatted }) => lines.push(`${label}: ${formatted}`));
+  if (match.kind === 'human') lines.push(`Epoch: ${copyText}`);
+  lines.push(result.relative, '', 'Click to copy');
+  
+  const hint = document.createElement('div');
+  hint.className = `${CSS_PREFIX}-tooltip-popup ${CSS_PREFIX}-field-hint`;
+  hint.textContent = lines.join('\n');
+  
+  // Keep focus and the caret in the field
+  hint.addEventListener('mousedown', event => event.preventDefault());
+  hint.addEventListener('click', () => {
+    copyToClipboard(copyText);
+    hint.textContent = 'Copied!';
+    setTimeout(hideFieldHint, 800);
+  });
+  
+  let anchor = caret.element;
+  if (caret.node) {
+    anchor = caret.node.ownerDocument.createRange();
+    anchor.setStart(caret.node, match.index);
+    anchor.setEnd(caret.node, match.index + match.length);
+  }
+  
+  document.body.appendChild(hint);
+  fieldHint = hint;
+  positionBelow(hint, anchor);
+}
+
+/**
+ * Hide the field hint
+ */
+function hideFieldHint() {
+  clearTimeout(fieldHintTimeout);
+  
+  if (fieldHint) {
+    fieldHint.remove();
+    fieldHint = null;
+  }
+}
+
+/**
+ * Read the value, kind and anchor of a wrapper or highlight mark
+ */
+function readTimestamp(entry) {
+  if (entry.textNode) {
+    const { value, kind, lowConfidence, range } = entry;
+    return { value, kind, lowConfidence, anchor: range };
+  }
+  
+  return {
+    value: entry.dataset.epochlensTimestamp,
+    kind: entry.dataset.epochlensKind,
+    lowConfidence: entry.classList.contains(`${CSS_PREFIX}-low-confidence`),
+    anchor: entry
+  };
+}
+
+/**
+ * Describe what kind of value a timestamp is (unit, ID type or date)
+ */
+function getTypeLabel(kind, result) {
+  if (kind === 'id') return result.idName || 'ID';
+  if (kind === 'epoch') return result.unit || 'epoch';
+  return 'date';
+}
+
+/**
+ * List every timestamp on the page for the popup; ids index into listedTimestamps
+ * Details (UTC ISO and surrounding text) are only gathered for exports.
+ */
+function getPageTimestamps(details = false) {
+  pruneTimestamps();
+  listedTimestamps = [...liveTimestamps];
+  
+  return listedTimestamps.map((entry, id) => {
+    const { value, kind, lowConfidence, anchor } = readTimestamp(entry);
+    const result = convertValue(value, kind);
+    const extra = details ? getTimestampDetails(entry, value, result) : {};
+    
+    return {
+      ...extra,
+      id,
+      value,
+      kind,
+      type: getTypeLabel(kind, result),
+      ms: result.success ? result.milliseconds : null,
+      formatted: result.success ? result.formatted : '',
+      relative: result.success ? result.relative : '',
+      lowConfidence,
+      top: Math.round(getViewportRect(anchor).top + window.scrollY)
+    };
+  });
+}
+
+/**
+ * Get a timestamp's UTC ISO form and the text around it (kept to its own line)
+ */
+function getTimestampDetails(entry, value, result) {
+  const textNode = entry.textNode || entry.querySelector(`.${CSS_PREFIX}-original`)?.firstChild;
+  let { before, after } = textNode ? getSurroundingText(textNode) : { before: '', after: '' };
+  
+  // A mark's text node holds more than the timestamp itself
+  if (entry.textNode) {
+    const text = textNode.nodeValue;
+    const start = entry.range.startOffset;
+    const end = start + value.length;
+    const from = Math.max(0, start - Heuristics.CONTEXT_BEFORE);
+    const to = end + Heuristics.CONTEXT_AFTER;
+    
+    before = `${from === 0 ? before : ''}${text.slice(from, start)}`;
+    after = `${text.slice(end, to)}${to >= text.length ? after : ''}`;
+  }
+  
+  const line = `${before.split('\n').pop()}${value}${after.split('\n')[0]}`;
+  
+  return {
+    iso: result.success ? result.isoPrecise || result.date.toISOString() : '',
+    context: line.replace(/\s+/g, ' ').trim()
+  };
+}
+
+/**
+ * Scroll the first of some listed timestamps into view and flash them all
+ */
+function scrollToTimestamps(ids) {
+  const getElement = entry => (entry.textNode ? entry.textNode.parentElement : entry);
+  const entries = ids.map(id => listedTimestamps[id]).filter(entry => entry && getElement(entry)?.isConnected);
+  if (entries.length === 0) return false;
+  
+  getElement(entries[0]).scrollIntoView({ block: 'center', behavior: 'smooth' });
+  entries.forEach(flashTimestamp);
+  return true;
+}
+
+/**
+ * Briefly emphasize a wrapper or highlight mark
+ */
+function flashTimestamp(entry) {
+  if (entry.textNode) {
+    Highlights.flash(entry, `${CSS_PREFIX}-flash`, 1500);
+    return;
+  }
+  
+  entry.classList.add(`${CSS_PREFIX}-flash`);
+  setTimeout(() => entry.classList.remove(`${CSS_PREFIX}-flash`), 1500);
+}
+
+/**
+ * Update the extension badge with timestamp count
+ */
+function updateBadge() {
+  if (settings.showBadgeCount) {
+    chrome.runtime.sendMessage({
+      type: MESSAGE_TYPES.UPDATE_BADGE,
+      count: liveTimestamps.size
+    });
+  }
+}
+
+/**
+ * Set up mutation observer for dynamic content
+ */
+function setupMutationObserver() {
+  if (observer) {
+    observer.disconnect();
+    observer = null;
+  }
+  
+  if (!settings.autoScan) return;
+  
+  observer = new MutationObserver((mutations) => {
+    // Collect across callbacks: the debounce must not drop earlier batches
+    mutations.forEach((mutation) => {
+      if (mutation.type === 'characterData') {
+        editedNodes.add(mutation.target);
+      } else {
+        mutation.addedNodes.forEach(node => addedNodes.add(node));
+      }
+    });
+    
+    // Debounce scanning
+    if (scanTimeout) {
+      clearTimeout(scanTimeout);
+    }
+    scanTimeout = setTimeout(handleMutations, settings.scanDelay);
+  });
+  
+  getScanRoots().forEach(root => observer.observe(root, OBSERVER_OPTIONS));
+}
+
+/**
+ * Scan added content, re-check edited text and drop timestamps that left the page
+ */
+function handleMutations() {
+  scanTimeout = null;
+  
+  editedNodes.forEach((node) => {
+    if (!node.isConnected) return;
+    
+    // Text edited inside a wrapper: put the plain text back and scan it again
+    const wrapper = node.parentElement?.closest(`.${CSS_PREFIX}-timestamp`);
+    if (wrapper) {
+      if (!node.parentElement.closest(`.${CSS_PREFIX}-badge`)) reevaluateWrapper(wrapper);
+      return;
+    }
+    
+    // Highlight ranges follow edits but their conversions are stale
+    removeMarks(node);
+    if (acceptTextNode(node) === NodeFilter.FILTER_ACCEPT) queueTextNodes([node]);
+  });
+  
+  addedNodes.forEach((node) => {
+    if (!node.isConnected) return;
+    
+    if (node.nodeType === Node.ELEMENT_NODE) {
+      scanElement(node);
+    } else if (node.nodeType === Node.TEXT_NODE && acceptTextNode(node) === NodeFilter.FILTER_ACCEPT) {
+      queueTextNodes([node]);
+    }
+  });
+  
+  editedNodes.clear();
+  addedNodes.clear();
+  
+  pruneTimestamps();
+  updateBadge();
+}
+
+/**
+ * Replace a wrapper whose text changed with plain text and queue it to be scanned again
+ */
+function reevaluateWrapper(wrapper) {
+  const original = wrapper.querySelector(`.${CSS_PREFIX}-original`);
+  const textNode = document.createTextNode(original ? original.textContent : wrapper.dataset.epochlensTimestamp);
+  const container = getPairContainer(wrapper);
+  
+  // Its neighbours may pair up once it is gone
+  const previous = container && findPairable(container, wrapper, 'previousNode');
+  const next = container && findPairable(container, wrapper, 'nextNode');
+  
+  if (wrapper === deltaStart || wrapper === deltaEnd) clearDeltaSelection();
+  liveTimestamps.delete(wrapper);
+  deltaBadges.get(wrapper)?.remove();
+  wrapper.replaceWith(textNode);
+  
+  if (next && settings.showDurations) setDelta(container, previous, next);
+  
+  if (acceptTextNode(textNode) === NodeFilter.FILTER_ACCEPT) queueTextNodes([textNode]);
+}
+
+/**
+ * Remove the highlight marks of a text node from the page and the count
+ */
+function removeMarks(textNode) {
+  const hovered = Highlights.getHover();
+  
+  Highlights.remove(textNode).forEach((mark) => {
+    liveTimestamps.delete(mark);
+    if (mark === hovered) hideTooltip();
+  });
+}
+
+/**
+ * Forget wrappers and marks that were removed from the page
+ */
+function pruneTimestamps() {
+  liveTimestamps.forEach((entry) => {
+    // Marks keep their text node; wrappers are elements themselves
+    const node = entry.textNode || entry;
+    if (node.isConnected) return;
+    
+    if (entry.textNode) {
+      removeMarks(entry.textNode);
+    } else {
+      liveTimestamps.delete(entry);
+    }
+  });
+  
+  if (deltaStart && !deltaStart.isConnected) clearDeltaSelection();
+}
+
+/**
+ * Queue a specific element's text for scanning
+ */
+function scanElement(element) {
+  // Frames added later are scanned now if they have a document, and again once they load
+  if (element.tagName === 'IFRAME' || element.tagName === 'FRAME') {
+    if (getNestedRoot(element)) scanFrame(element);
+    return;
+  }
+  
+  if (SKIP_ELEMENTS.includes(element.tagName)) return;
+  if (element.isContentEditable || element.closest?.(EDITOR_SELECTOR)) return;
+  if (element.closest?.(OVERLAY_SELECTOR)) return;
+  if (element.classList && element.classList.contains(`${CSS_PREFIX}-timestamp`)) return;
+  
+  queueTextNodes(collectTextNodes(element));
+}
+
+/**
+ * Clean up all timestamp wrappers
+ */
+function cleanup() {
+  const roots = getScanRoots();
+  cancelScan();
+  
+  // Remove duration badges and the shift-click selection
+  roots.forEach((root) => {
+    root.querySelectorAll(`.${CSS_PREFIX}-delta`).forEach(badge => badge.remove());
+  });
+  clearDeltaSelection();
+  
+  // Remove all timestamp wrappers
+  roots.forEach((root) => {
+    root.querySelectorAll(`.${CSS_PREFIX}-timestamp`).forEach((wrapper) => {
+      const text = wrapper.dataset.epochlensTimestamp;
+      const textNode = document.createTextNode(text);
+      wrapper.parentNode.replaceChild(textNode, wrapper);
+    });
+  });
+  
+  // Remove highlights (non-invasive mode)
+  Highlights.clear();
+  
+  // Remove tooltip, details card and field hint if visible
+  hideTooltip();
+  hideDetailsCard();
+  hideFieldHint();
+  
+  // Reset count
+  liveTimestamps.clear();
+  updateBadge();
+  
+  // Disconnect observer and drop mutations still waiting for the debounce
+  if (observer) {
+    observer.disconnect();
+    observer = null;
+  }
+  clearTimeout(scanTimeout);
+  scanTimeout = null;
+  addedNodes.clear();
+  editedNodes.clear();
+  
+  // Roots are found again on the next scan
+  nestedRoots.clear();
+}
+
+// Initialize when DOM is ready
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', init);
+} else {
+  init();
+}
@@ -0,0 +1,181 @@
+/**
+ * EpochLens Highlights
+ * Non-invasive rendering: marks timestamps with the CSS Custom Highlight API
+ * instead of wrapper elements, so the page's DOM and text are never changed
+ */
+
+import { Constants } from '../utils/constants.js';
+
+const { CSS_PREFIX } = Constants;
+const HOVER = `${CSS_PREFIX}-hover`;
+
+export const Highlights = {
+  // Highlight names (styled with ::highlight() in content.css) that paint over the others
+  PRIORITIES: {
+    [HOVER]: 1,
+    [`${CSS_PREFIX}-copied`]: 2,
+    [`${CSS_PREFIX}-flash`]: 2
+  },
+  
+  // Text node → marks in it, for hit-testing
+  _marks: new Map(),
+  _hovered: null,
+  
+  /**
+   * Check if the browser supports the CSS Custom Highlight API (Chrome 105+)
+   * @returns {boolean}
+   */
+  isSupported() {
+    return typeof CSS !== 'undefined' && 'highlights' in CSS && typeof Highlight === 'function';
+  },
+  
+  /**
+   * Mark part of a text node
+   * @param {Text} textNode - Node holding the match
+   * @param {number} start - Offset of the match in the node
+   * @param {number} end - Offset just past the match
+   * @param {string} name - Highlight to paint the match with
+   * @param {Object} data - Anything to hand back from hitTest (value, kind, tooltip...)
+   * @returns {Object} The mark: data plus its range and highlight name
+   */
+  add(textNode, start, end, name, data = {}) {
+    const range = textNode.ownerDocument.createRange();
+    range.setStart(textNode, start);
+    range.setEnd(textNode, end);
+    
+    const mark = { ...data, range, name, textNode };
+    this._getHighlight(textNode.ownerDocument, name).add(range);
+    
+    if (!this._marks.has(textNode)) this._marks.set(textNode, []);
+    this._marks.get(textNode).push(mark);
+    return mark;
+  },
+  
+  /**
+   * Unmark a text node, e.g. after its text changed or it left the page
+   * @param {Text} textNode - Node to unmark
+   * @returns {Object[]} The removed marks
+   */
+  remove(textNode) {
+    const marks = this._marks.get(textNode) || [];
+    
+    marks.forEach((mark) => {
+      const registry = textNode.ownerDocument.defaultView?.CSS.highlights;
+      registry?.forEach(highlight => highlight.delete(mark.range));
+      if (mark === this._hovered) this._hovered = null;
+    });
+    
+    this._marks.delete(textNode);
+    return marks;
+  },
+  
+  /**
+   * Check if a text node has been marked
+   * @param {Text} textNode - Node to check
+   * @returns {boolean}
+   */
+  has(textNode) {
+    return this._marks.has(textNode);
+  },
+  
+  /**
+   * Check if anything is marked at all
+   * @returns {boolean}
+   */
+  hasMarks() {
+    return this._marks.size > 0;
+  },
+  
+  /**
+   * Find the mark under a point
+   * @param {Document} doc - Document the point is in
+   * @param {number} x - Client X
+   * @param {number} y - Client Y
+   * @param {ShadowRoot[]} shadowRoots - Open shadow roots to look inside
+   * @returns {Object|null} Mark
+   */
+  hitTest(doc, x, y, shadowRoots = []) {
+    // The caret position gives the text node; its marks' boxes decide whether the pointer is really on one
+    const node = doc.caretPositionFromPoint
+      ? doc.caretPositionFromPoint(x, y, { shadowRoots })?.offsetNode
+      : doc.caretRangeFromPoint(x, y)?.startContainer;
+    
+    const marks = this._marks.get(node);
+    if (!marks) return null;
+    
+    return marks.find(mark => [...mark.range.getClientRects()].some(rect =>
+      x >= rect.left && x <= rect.right && y >= rect.top && y <= rect.bottom
+    )) || null;
+  },
+  
+  /**
+   * Paint a mark as hovered (or clear the hover with null)
+   * @param {Object|null} mark - Mark under the pointer
+   */
+  setHover(mark) {
+    if (this._hovered) {
+      this._getHighlight(this._hovered.textNode.ownerDocument, HOVER).delete(this._hovered.range);
+    }
+    
+    this._hovered = mark;
+    if (mark) {
+      this._getHighlight(mark.textNode.ownerDocument, HOVER).add(mark.range);
+    }
+  },
+  
+  /**
+   * Get the hovered mark
+   * @returns {Object|null}
+   */
+  getHover() {
+    return this._hovered;
+  },
+  
+  /**
+   * Paint a mark with another highlight for a moment (e.g. copy feedback)
+   * @param {Object} mark - Mark to flash
+   * @param {string} name - Highlight to add
+   * @param {number} duration - How long to keep it (ms)
+   */
+  flash(mark, name, duration) {
+    const highlight = this._getHighlight(mark.textNode.ownerDocument, name);
+    highlight.add(mark.range);
+    setTimeout(() => highlight.delete(mark.range), duration);
+  },
+  
+  /**
+   * Remove every mark, in the page and in frames
+   */
+  clear() {
+    const docs = new Set([...this._marks.keys()].map(node => node.ownerDocument));
+    
+    docs.forEach((doc) => {
+      const registry = doc.defaultView?.CSS.highlights;
+      if (!registry) return;
+      
+      registry.forEach((highlight, name) => {
+        if (name.startsWith(CSS_PREFIX)) highlight.clear();
+      });
+    });
+    
+    this._marks.clear();
+    this._hovered = null;
+  },
+  
+  /**
+   * Get a named highlight in a document's registry, creating it on first use
+   * Frames have their own registry and Highlight class.
+   * @private
+   */
+  _getHighlight(doc, name) {
+    const view = doc.defaultView;
+    let highlight = view.CSS.highlights.get(name);
+    
+    if (!highlight) {
+      highlight = new view.Highlight();
+      highlight.priority = this.PRIORITIES[name] || 0;
+      view.CSS.highlights.set(name, highlight);
+    }
+    return highlight;
+  }
+};
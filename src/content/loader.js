@@ -0,0 +1,12 @@
+/**
+ * EpochLens Content Script Loader
+ * Content scripts can't be ES modules, so import the module entry point dynamically
+ */
+
+(async () => {
+  try {
+    await import(chrome.runtime.getURL('src/content/content.js'));
+  } catch (error) {
+    console.error('[EpochLens] Failed to load content script:', error);
+  }
+})();
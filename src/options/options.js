@@ -3,26 +3,26 @@
  * Handles settings management and UI
  */
 
-// Constants
-const STORAGE_KEY = 'epochlens_settings';
+import { Constants } from '../utils/constants.js';
+import { Converter } from '../utils/converter.js';
+import { Storage } from '../utils/storage.js';
+import { Timezones } from '../utils/timezones.js';
 
-const DEFAULT_SETTINGS = {
-  enabled: true,
-  displayMode: 'tooltip',
-  timezone: 'local',
-  showSecondaryTimezone: false,
-  secondaryTimezone: 'UTC',
-  dateFormat: 'locale',
-  customFormat: 'YYYY-MM-DD HH:mm:ss',
-  showBadgeCount: true,
-  highlightStyle: 'dotted',
-  autoScan: true,
-  scanDelay: 500
+// Valid date window presets (customDates/customYears keep the user's own values)
+const RANGE_PRESETS = {
+  default: { rangeMode: 'fixed', rangeStart: '2000-01-01', rangeEnd: '2100-01-01' },
+  unix: { rangeMode: 'fixed', rangeStart: '1970-01-01', rangeEnd: '2100-01-01' },
+  years1: { rangeMode: 'relative', rangeYears: 1 },
+  years5: { rangeMode: 'relative', rangeYears: 5 },
+  years10: { rangeMode: 'relative', rangeYears: 10 },
+  customDates: { rangeMode: 'fixed' },
+  customYears: { rangeMode: 'relative' }
 };
 
 // State
-let settings = { ...DEFAULT_SETTINGS };
+let settings = { ...Constants.DEFAULT_SETTINGS };
 let saveTimeout = null;
+let pickers = {};
 
 // DOM Elements
 const elements = {
@@ -30,15 +30,19 @@ const elements = {
   enabled: document.getElementById('enabled'),
   autoScan: document.getElementById('autoScan'),
   showBadgeCount: document.getElementById('showBadgeCount'),
+  keepHistory: document.getElementById('keepHistory'),
   
   // Display
   displayMode: document.getElementById('displayMode'),
   highlightStyle: document.getElementById('highlightStyle'),
+  showDurations: document.getElementById('showDurations'),
+  nonInvasiveMode: document.getElementById('nonInvasiveMode'),
   
   // Timezone
   timezone: document.getElementById('timezone'),
   showSecondaryTimezone: document.getElementById('showSecondaryTimezone'),
-  secondaryTimezone: document.getElementById('secondaryTimezone'),
+  secondaryTimezones: document.getElementById('secondaryTimezones'),
+  addSecondaryTimezone: document.getElementById('addSecondaryTimezone'),
   secondaryTzRow: document.getElementById('secondaryTzRow'),
   
   // Format
@@ -47,6 +51,37 @@ const elements = {
   customFormatRow: document.getElementById('customFormatRow'),
   formatPreview: document.getElementById('formatPreview'),
   
+  // Detection
+  rangePreset: document.getElementById('rangePreset'),
+  rangeStart: document.getElementById('rangeStart'),
+  rangeEnd: document.getElementById('rangeEnd'),
+  rangeDatesRow: document.getElementById('rangeDatesRow'),
+  rangeDatesError: document.getElementById('rangeDatesError'),
+  rangeYears: document.getElementById('rangeYears'),
+  rangeYearsRow: document.getElementById('rangeYearsRow'),
+  rangeYearsError: document.getElementById('rangeYearsError'),
+  detectDateStrings: document.getElementById('detectDateStrings'),
+  scanEditableFields: document.getElementById('scanEditableFields'),
+  reverseMode: document.getElementById('reverseMode'),
+  reverseUnit: document.getElementById('reverseUnit'),
+  reverseUnitRow: document.getElementById('reverseUnitRow'),
+  reverseTimezone: document.getElementById('reverseTimezone'),
+  inputTimezone: document.getElementById('inputTimezone'),
+  dateOrder: document.getElementById('dateOrder'),
+  heuristicFiltering: document.getElementById('heuristicFiltering'),
+  confidenceThreshold: document.getElementById('confidenceThreshold'),
+  confidenceValue: document.getElementById('confidenceValue'),
+  confidenceRow: document.getElementById('confidenceRow'),
+  lowConfidenceAction: document.getElementById('lowConfidenceAction'),
+  lowConfidenceRow: document.getElementById('lowConfidenceRow'),
+  highlightIds: document.getElementById('highlightIds'),
+  snowflakeEpoch: document.getElementById('snowflakeEpoch'),
+  
+  // Site rules
+  siteListMode: document.getElementById('siteListMode'),
+  siteRulesList: document.getElementById('siteRulesList'),
+  addSiteRule: document.getElementById('addSiteRule'),
+  
   // Advanced
   scanDelay: document.getElementById('scanDelay'),
   
@@ -64,7 +99,10 @@ const elements = {
  */
 async function init() {
   // Load settings
-  settings = await getSettings();
+  settings = await Storage.getSettings();
+  
+  // Build timezone pickers
+  setupTimezonePickers();
   
   // Populate form
   populateForm();
@@ -79,32 +117,6 @@ async function init() {
   updateFormatPreview();
 }
 
-/**
- * Get settings from storage
- */
-async function getSettings() {
-  return new Promise((resolve) => {
-    chrome.storage.sync.get(STORAGE_KEY, (result) => {
-      resolve({ ...DEFAULT_SETTINGS, ...result[STORAGE_KEY] });
-    });
-  });
-}
-
-/**
- * Save settings to storage
- */
-async function saveSettings() {
-  return new Promise((resolve, reject) => {
-    chrome.storage.sync.set({ [STORAGE_KEY]: settings }, () => {
-      if (chrome.runtime.lastError) {
-        reject(chrome.runtime.lastError);
-      } else {
-        resolve();
-      }
-    });
-  });
-}
-
 /**
  * Populate form with current settings
  */
@@ -113,24 +125,65 @@ function populateForm() {
   elements.enabled.checked = settings.enabled;
   elements.autoScan.checked = settings.autoScan;
   elements.showBadgeCount.checked = settings.showBadgeCount;
+  elements.keepHistory.checked = settings.keepHistory;
   
   // Display
   elements.displayMode.value = settings.displayMode;
   elements.highlightStyle.value = settings.highlightStyle;
+  elements.showDurations.checked = settings.showDurations;
+  elements.nonInvasiveMode.checked = settings.nonInvasiveMode;
   
   // Timezone
-  elements.timezone.value = settings.timezone;
+  pickers.timezone.setValue(settings.timezone);
   elements.showSecondaryTimezone.checked = settings.showSecondaryTimezone;
-  elements.secondaryTimezone.value = settings.secondaryTimezone;
+  renderSecondaryTimezones();
   
   // Format
   elements.dateFormat.value = settings.dateFormat;
   elements.customFormat.value = settings.customFormat;
   
+  // Detection
+  elements.rangePreset.value = getRangePreset();
+  elements.rangeStart.value = settings.rangeStart;
+  elements.rangeEnd.value = settings.rangeEnd;
+  elements.rangeYears.value = settings.rangeYears;
+  showRangeErrors('', '');
+  elements.detectDateStrings.checked = settings.detectDateStrings;
+  elements.scanEditableFields.checked = settings.scanEditableFields;
+  elements.reverseMode.checked = settings.reverseMode;
+  elements.reverseUnit.value = settings.reverseUnit;
+  pickers.reverseTimezone.setValue(settings.reverseTimezone);
+  pickers.inputTimezone.setValue(settings.inputTimezone);
+  elements.dateOrder.value = settings.dateOrder;
+  elements.heuristicFiltering.checked = settings.heuristicFiltering;
+  elements.confidenceThreshold.value = Math.round(settings.confidenceThreshold * 100);
+  elements.confidenceValue.textContent = `${elements.confidenceThreshold.value}%`;
+  elements.lowConfidenceAction.value = settings.lowConfidenceAction;
+  elements.highlightIds.checked = settings.highlightIds;
+  elements.snowflakeEpoch.value = settings.snowflakeEpoch;
+  
+  // Site rules
+  elements.siteListMode.value = settings.siteListMode;
+  renderSiteRules();
+  
   // Advanced
   elements.scanDelay.value = settings.scanDelay;
 }
 
+/**
+ * Find the preset matching the current date window, or the matching custom mode
+ */
+function getRangePreset() {
+  const match = Object.keys(RANGE_PRESETS).find(key => {
+    const preset = RANGE_PRESETS[key];
+    return Object.keys(preset).length > 1 &&
+      Object.keys(preset).every(field => settings[field] === preset[field]);
+  });
+  
+  if (match) return match;
+  return settings.rangeMode === 'relative' ? 'customYears' : 'customDates';
+}
+
 /**
  * Set up event listeners
  */
@@ -151,6 +204,11 @@ function setupEventListeners() {
     autoSave();
   });
   
+  elements.keepHistory.addEventListener('change', () => {
+    settings.keepHistory = elements.keepHistory.checked;
+    autoSave();
+  });
+  
   // Display
   elements.displayMode.addEventListener('change', () => {
     settings.displayMode = elements.displayMode.value;
@@ -162,21 +220,26 @@ function setupEventListeners() {
     autoSave();
   });
   
-  // Timezone
-  elements.timezone.addEventListener('change', () => {
-    settings.timezone = elements.timezone.value;
-    updateFormatPreview();
+  elements.showDurations.addEventListener('change', () => {
+    settings.showDurations = elements.showDurations.checked;
     autoSave();
   });
   
+  elements.nonInvasiveMode.addEventListener('change', () => {
+    settings.nonInvasiveMode = elements.nonInvasiveMode.checked;
+    autoSave();
+  });
+  
+  // Timezone
   elements.showSecondaryTimezone.addEventListener('change', () => {
     settings.showSecondaryTimezone = elements.showSecondaryTimezone.checked;
     updateConditionalFields();
     autoSave();
   });
   
-  elements.secondaryTimezone.addEventListener('change', () => {
-    settings.secondaryTimezone = elements.secondaryTimezone.value;
+  elements.addSecondaryTimezone.addEventListener('click', () => {
+    settings.secondaryTimezones = [...settings.secondaryTimezones, { timezone: 'UTC', label: '' }];
+    renderSecondaryTimezones();
     autoSave();
   });
   
@@ -194,6 +257,99 @@ function setupEventListeners() {
     autoSave();
   });
   
+  // Detection
+  elements.rangePreset.addEventListener('change', () => {
+    Object.assign(settings, RANGE_PRESETS[elements.rangePreset.value]);
+    elements.rangeStart.value = settings.rangeStart;
+    elements.rangeEnd.value = settings.rangeEnd;
+    elements.rangeYears.value = settings.rangeYears;
+    showRangeErrors('', '');
+    updateConditionalFields();
+    autoSave();
+  });
+  
+  elements.rangeStart.addEventListener('change', updateRangeDates);
+  elements.rangeEnd.addEventListener('change', updateRangeDates);
+  
+  elements.rangeYears.addEventListener('change', () => {
+    const years = Number(elements.rangeYears.value);
+    const error = elements.rangeYears.value.trim() && years > 0 ? '' : 'Enter a number of years above 0';
+    
+    showRangeErrors(elements.rangeDatesError.textContent, error);
+    if (error) return;
+    
+    settings.rangeYears = years;
+    elements.rangePreset.value = getRangePreset();
+    autoSave();
+  });
+  
+  elements.detectDateStrings.addEventListener('change', () => {
+    settings.detectDateStrings = elements.detectDateStrings.checked;
+    autoSave();
+  });
+  
+  elements.scanEditableFields.addEventListener('change', () => {
+    settings.scanEditableFields = elements.scanEditableFields.checked;
+    autoSave();
+  });
+  
+  elements.heuristicFiltering.addEventListener('change', () => {
+    settings.heuristicFiltering = elements.heuristicFiltering.checked;
+    updateConditionalFields();
+    autoSave();
+  });
+  
+  elements.confidenceThreshold.addEventListener('input', () => {
+    settings.confidenceThreshold = Number(elements.confidenceThreshold.value) / 100;
+    elements.confidenceValue.textContent = `${elements.confidenceThreshold.value}%`;
+    autoSave();
+  });
+  
+  elements.lowConfidenceAction.addEventListener('change', () => {
+    settings.lowConfidenceAction = elements.lowConfidenceAction.value;
+    autoSave();
+  });
+  
+  elements.highlightIds.addEventListener('change', () => {
+    settings.highlightIds = elements.highlightIds.checked;
+    autoSave();
+  });
+  
+  elements.snowflakeEpoch.addEventListener('change', () => {
+    settings.snowflakeEpoch = elements.snowflakeEpoch.value;
+    autoSave();
+  });
+  
+  elements.reverseMode.addEventListener('change', () => {
+    settings.reverseMode = elements.reverseMode.checked;
+    updateConditionalFields();
+    autoSave();
+  });
+  
+  elements.reverseUnit.addEventListener('change', () => {
+    settings.reverseUnit = elements.reverseUnit.value;
+    autoSave();
+  });
+  
+  elements.dateOrder.addEventListener('change', () => {
+    settings.dateOrder = elements.dateOrder.value;
+    autoSave();
+  });
+  
+  // Site rules
+  elements.siteListMode.addEventListener('change', () => {
+    settings.siteListMode = elements.siteListMode.value;
+    autoSave();
+  });
+  
+  elements.addSiteRule.addEventListener('click', () => {
+    // Replace the array so the shared default is never mutated
+    settings.siteRules = [...settings.siteRules, { pattern: '', enabled: true, overrides: {} }];
+    renderSiteRules();
+    const inputs = elements.siteRulesList.querySelectorAll('.site-rule-pattern');
+    inputs[inputs.length - 1].focus();
+  });
+  
   // Advanced
   elements.scanDelay.addEventListener('change', () => {
     settings.scanDelay = parseInt(elements.scanDelay.value, 10) || 500;
@@ -204,6 +360,471 @@ function setupEventListeners() {
   elements.resetBtn.addEventListener('click', resetSettings);
 }
 
+/**
+ * Create the primary timezone picker
+ */
+function setupTimezonePickers() {
+  pickers.timezone = createTimezonePicker(elements.timezone, {
+    value: settings.timezone,
+    onSelect: (timezone) => {
+      settings.timezone = timezone;
+      rememberTimezone(timezone);
+      updateFormatPreview();
+      autoSave();
+    }
+  });
+  
+  pickers.reverseTimezone = createTimezonePicker(elements.reverseTimezone, {
+    value: settings.reverseTimezone,
+    onSelect: (timezone) => {
+      settings.reverseTimezone = timezone;
+      rememberTimezone(timezone);
+      autoSave();
+    }
+  });
+  
+  pickers.inputTimezone = createTimezonePicker(elements.inputTimezone, {
+    value: settings.inputTimezone,
+    onSelect: (timezone) => {
+      settings.inputTimezone = timezone;
+      rememberTimezone(timezone);
+      autoSave();
+    }
+  });
+}
+
+/**
+ * Render the ordered secondary timezone list
+ */
+function renderSecondaryTimezones() {
+  // Settings saved before the list existed only have a single secondaryTimezone
+  if (!Array.isArray(settings.secondaryTimezones)) {
+    settings.secondaryTimezones = [{ timezone: settings.secondaryTimezone || 'UTC', label: '' }];
+  }
+  
+  elements.secondaryTimezones.textContent = '';
+  settings.secondaryTimezones.forEach((entry, index) => {
+    elements.secondaryTimezones.appendChild(createSecondaryTimezoneRow(entry, index));
+  });
+}
+
+/**
+ * Create the editor row for one secondary timezone
+ * @param {Object} entry - { timezone, label }
+ * @param {number} index - Position in settings.secondaryTimezones
+ */
+function createSecondaryTimezoneRow(entry, index) {
+  const row = document.createElement('div');
+  row.className = 'tz-list-item';
+  
+  const picker = document.createElement('div');
+  picker.className = 'tz-picker tz-picker-small';
+  createTimezonePicker(picker, {
+    value: entry.timezone,
+    onSelect: (timezone) => {
+      entry.timezone = timezone;
+      rememberTimezone(timezone);
+      autoSave();
+    }
+  });
+  
+  const label = document.createElement('input');
+  label.type = 'text';
+  label.className = 'input tz-list-label';
+  label.placeholder = 'Label';
+  label.value = entry.label || '';
+  label.addEventListener('input', () => {
+    entry.label = label.value.trim();
+    autoSave();
+  });
+  
+  const count = settings.secondaryTimezones.length;
+  row.append(
+    picker,
+    label,
+    createListButton('↑', 'Move up', index === 0, () => moveSecondaryTimezone(index, -1)),
+    createListButton('↓', 'Move down', index === count - 1, () => moveSecondaryTimezone(index, 1)),
+    createListButton('×', 'Remove', false, () => {
+      settings.secondaryTimezones = settings.secondaryTimezones.filter((_, i) => i !== index);
+      renderSecondaryTimezones();
+      autoSave();
+    })
+  );
+  
+  return row;
+}
+
+/**
+ * Swap a secondary timezone with its neighbour
+ */
+function moveSecondaryTimezone(index, direction) {
+  const list = [...settings.secondaryTimezones];
+  [list[index], list[index + direction]] = [list[index + direction], list[index]];
+  settings.secondaryTimezones = list;
+  renderSecondaryTimezones();
+  autoSave();
+}
+
+/**
+ * Create a small icon button for list rows
+ */
+function createListButton(text, title, disabled, onClick) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'list-btn';
+  button.title = title;
+  button.textContent = text;
+  button.disabled = disabled;
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+/**
+ * Add a zone to the recently used list
+ */
+function rememberTimezone(timezone) {
+  if (!timezone) return;
+  settings.recentTimezones = Timezones.addRecent(settings.recentTimezones, timezone);
+}
+
+/**
+ * Create a searchable timezone picker with offsets and recently used zones
+ * @param {HTMLElement} root - Container element
+ * @param {Object} options
+ * @param {string} options.value - Selected zone
+ * @param {Function} options.onSelect - Called with the picked zone
+ * @param {string} [options.emptyLabel] - Offer an empty "use default" choice with this label
+ * @returns {{setValue: Function}}
+ */
+function createTimezonePicker(root, { value, onSelect, emptyLabel = null }) {
+  const zones = Timezones.list();
+  let selected = value;
+  let visible = [];
+  let activeIndex = -1;
+  
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.className = 'input tz-picker-input';
+  input.autocomplete = 'off';
+  input.spellcheck = false;
+  input.setAttribute('role', 'combobox');
+  input.setAttribute('aria-expanded', 'false');
+  
+  const list = document.createElement('div');
+  list.className = 'tz-picker-list';
+  list.setAttribute('role', 'listbox');
+  list.hidden = true;
+  
+  root.append(input, list);
+  
+  /**
+   * Show the selected zone in the input, flagging zones this browser doesn't know
+   */
+  function showSelected() {
+    const valid = !selected || Timezones.isValid(selected);
+    input.value = selected ? Timezones.getLabel(selected) : '';
+    input.placeholder = emptyLabel || 'Search timezones';
+    input.title = valid ? '' : `Unknown timezone "${selected}"`;
+    root.classList.toggle('invalid', !valid);
+  }
+  
+  /**
+   * Render the options matching a query
+   */
+  function render(query) {
+    const matches = Timezones.search(zones, query);
+    const typed = query.trim();
+    
+    // Accept valid zones Intl knows but doesn't list, e.g. "Etc/GMT+5"
+    if (matches.length === 0 && typed && Timezones.isValid(typed)) {
+      matches.push(typed);
+    }
+    
+    const sections = [];
+    if (!typed) {
+      if (emptyLabel) sections.push({ zones: [''] });
+      const recent = (settings.recentTimezones || []).filter(zone => Timezones.isValid(zone));
+      if (recent.length) sections.push({ title: 'Recently used', zones: recent });
+    }
+    sections.push({ title: typed ? `${matches.length} matches` : 'All timezones', zones: matches });
+    
+    list.textContent = '';
+    visible = [];
+    
+    sections.forEach((section) => {
+      if (section.title) {
+        const heading = document.createElement('div');
+        heading.className = 'tz-picker-heading';
+        heading.textContent = section.title;
+        list.appendChild(heading);
+      }
+      
+      section.zones.forEach((zone) => {
+        list.appendChild(createOption(zone, visible.length));
+        visible.push(zone);
+      });
+    });
+    
+    setActive(typed && visible.length ? 0 : visible.indexOf(selected));
+  }
+  
+  /**
+   * Create one option row: zone name and current UTC offset
+   */
+  function createOption(zone, index) {
+    const option = document.createElement('div');
+    option.className = 'tz-picker-option';
+    option.setAttribute('role', 'option');
+    option.dataset.index = index;
+    option.classList.toggle('selected', zone === selected);
+    
+    const name = document.createElement('span');
+    name.textContent = zone ? Timezones.getLabel(zone) : emptyLabel;
+    
+    const offset = document.createElement('span');
+    offset.className = 'tz-picker-offset';
+    offset.textContent = zone ? `UTC${Timezones.getOffset(zone)}` : '';
+    
+    option.append(name, offset);
+    
+    option.addEventListener('mousedown', () => choose(zone));
+    
+    return option;
+  }
+  
+  /**
+   * Highlight an option for keyboard navigation
+   */
+  function setActive(index) {
+    const options = list.querySelectorAll('.tz-picker-option');
+    options.forEach(option => option.classList.remove('active'));
+    activeIndex = index;
+    
+    if (options[index]) {
+      options[index].classList.add('active');
+      options[index].scrollIntoView({ block: 'nearest' });
+    }
+  }
+  
+  /**
+   * Open the list with every zone
+   */
+  function open() {
+    render('');
+    list.hidden = false;
+    input.setAttribute('aria-expanded', 'true');
+    input.select();
+  }
+  
+  /**
+   * Close the list and restore the selected zone's label
+   */
+  function close() {
+    list.hidden = true;
+    input.setAttribute('aria-expanded', 'false');
+    showSelected();
+  }
+  
+  /**
+   * Select a zone and notify the caller
+   */
+  function choose(zone) {
+    selected = zone;
+    close();
+    input.blur();
+    onSelect(zone);
+  }
+  
+  // Keep focus in the input while clicking options or scrolling the list
+  list.addEventListener('mousedown', event => event.preventDefault());
+  
+  input.addEventListener('focus', open);
+  input.addEventListener('blur', close);
+  input.addEventListener('input', () => render(input.value));
+  
+  input.addEventListener('keydown', (event) => {
+    switch (event.key) {
+      case 'ArrowDown':
+        event.preventDefault();
+        setActive(Math.min(activeIndex + 1, visible.length - 1));
+        break;
+      
+      case 'ArrowUp':
+        event.preventDefault();
+        setActive(Math.max(activeIndex - 1, 0));
+        break;
+      
+      case 'Enter':
+        event.preventDefault();
+        if (activeIndex >= 0) choose(visible[activeIndex]);
+        break;
+      
+      case 'Escape':
+        input.blur();
+        break;
+    }
+  });
+  
+  showSelected();
+  
+  return {
+    setValue(timezone) {
+      selected = timezone;
+      showSelected();
+    }
+  };
+}
+
+/**
+ * Render the site rules list
+ */
+function renderSiteRules() {
+  elements.siteRulesList.textContent = '';
+  
+  if (!settings.siteRules.length) {
+    const empty = document.createElement('p');
+    empty.className = 'site-rules-empty';
+    empty.textContent = 'No site rules yet';
+    elements.siteRulesList.appendChild(empty);
+    return;
+  }
+  
+  settings.siteRules.forEach((rule, index) => {
+    elements.siteRulesList.appendChild(createSiteRuleRow(rule, index));
+  });
+}
+
+/**
+ * Create the editor row for one site rule
+ * @param {Object} rule - Site rule ({ pattern, enabled, overrides })
+ * @param {number} index - Position in settings.siteRules
+ */
+function createSiteRuleRow(rule, index) {
+  rule.overrides = rule.overrides || {};
+  
+  const row = document.createElement('div');
+  row.className = 'site-rule';
+  
+  const pattern = document.createElement('input');
+  pattern.type = 'text';
+  pattern.className = 'input site-rule-pattern';
+  pattern.placeholder = 'example.com';
+  pattern.value = rule.pattern;
+  pattern.addEventListener('input', () => {
+    rule.pattern = pattern.value.trim();
+    autoSave();
+  });
+  
+  const action = createRuleSelect(
+    [['enabled', 'Enable'], ['disabled', 'Disable']],
+    rule.enabled === false ? 'disabled' : 'enabled',
+    (value) => { rule.enabled = value === 'enabled'; }
+  );
+  
+  const customFormat = document.createElement('input');
+  customFormat.type = 'text';
+  customFormat.className = 'input site-rule-format';
+  customFormat.placeholder = 'YYYY-MM-DD HH:mm:ss';
+  customFormat.value = rule.overrides.customFormat || '';
+  customFormat.hidden = rule.overrides.dateFormat !== 'custom';
+  customFormat.addEventListener('input', () => {
+    setRuleOverride(rule, 'customFormat', customFormat.value);
+    autoSave();
+  });
+  
+  const overrides = document.createElement('div');
+  overrides.className = 'site-rule-overrides';
+  overrides.append(
+    createOverrideSelect(rule, 'displayMode', elements.displayMode, 'Display'),
+    createOverrideTimezone(rule),
+    createOverrideSelect(rule, 'dateFormat', elements.dateFormat, 'Format', (value) => {
+      customFormat.hidden = value !== 'custom';
+    }),
+    customFormat
+  );
+  
+  const remove = createListButton('×', 'Remove rule', false, () => {
+    settings.siteRules = settings.siteRules.filter((_, i) => i !== index);
+    renderSiteRules();
+    autoSave();
+  });
+  
+  row.append(pattern, action, remove, overrides);
+  return row;
+}
+
+/**
+ * Create a select for a rule override, offering the global setting's options
+ * @param {Object} rule - Site rule
+ * @param {string} key - Overridden setting
+ * @param {HTMLSelectElement} source - Global select to copy options from
+ * @param {string} label - Label for the "use global setting" option
+ * @param {Function} [onChange] - Extra change handler
+ */
+function createOverrideSelect(rule, key, source, label, onChange) {
+  const options = [['', `${label}: default`]];
+  Array.from(source.options).forEach((option) => {
+    options.push([option.value, option.textContent]);
+  });
+  
+  return createRuleSelect(options, rule.overrides[key] || '', (value) => {
+    setRuleOverride(rule, key, value);
+    if (onChange) onChange(value);
+  });
+}
+
+/**
+ * Create a timezone picker for a rule override
+ * @param {Object} rule - Site rule
+ */
+function createOverrideTimezone(rule) {
+  const root = document.createElement('div');
+  root.className = 'tz-picker tz-picker-small';
+  
+  createTimezonePicker(root, {
+    value: rule.overrides.timezone || '',
+    emptyLabel: 'Timezone: default',
+    onSelect: (timezone) => {
+      setRuleOverride(rule, 'timezone', timezone);
+      rememberTimezone(timezone);
+      autoSave();
+    }
+  });
+  
+  return root;
+}
+
+/**
+ * Create a small select that autosaves on change
+ * @param {Array} options - [value, label] pairs
+ * @param {string} value - Selected value
+ * @param {Function} onChange - Called with the new value before saving
+ */
+function createRuleSelect(options, value, onChange) {
+  const select = document.createElement('select');
+  select.className = 'select select-small';
+  options.forEach(([optionValue, optionLabel]) => {
+    select.add(new Option(optionLabel, optionValue));
+  });
+  select.value = value;
+  select.addEventListener('change', () => {
+    onChange(select.value);
+    autoSave();
+  });
+  return select;
+}
+
+/**
+ * Set or clear a rule override
+ */
+function setRuleOverride(rule, key, value) {
+  if (value) {
+    rule.overrides[key] = value;
+  } else {
+    delete rule.overrides[key];
+  }
+}
+
 /**
  * Update conditional field visibility
  */
@@ -221,98 +842,60 @@ function updateConditionalFields() {
   } else {
     elements.customFormatRow.classList.add('hidden');
   }
+  
+  // Date window rows
+  const isRelative = settings.rangeMode === 'relative';
+  elements.rangeDatesRow.classList.toggle('hidden', isRelative);
+  elements.rangeYearsRow.classList.toggle('hidden', !isRelative);
+  
+  // Confidence rows
+  elements.confidenceRow.classList.toggle('hidden', !settings.heuristicFiltering);
+  elements.lowConfidenceRow.classList.toggle('hidden', !settings.heuristicFiltering);
+  
+  // Reverse mode rows
+  elements.reverseUnitRow.classList.toggle('hidden', !settings.reverseMode);
 }
 
 /**
- * Update format preview
+ * Save the fixed date window once both dates are set and in order
  */
-function updateFormatPreview() {
-  const now = new Date();
-  const format = settings.dateFormat;
-  const timezone = settings.timezone;
-  
-  let preview;
-  
-  try {
-    switch (format) {
-      case 'iso':
-        preview = now.toISOString();
-        break;
-      
-      case 'relative':
-        preview = 'just now';
-        break;
-      
-      case 'custom':
-        preview = formatCustom(now, settings.customFormat, timezone);
-        break;
-      
-      case 'locale':
-      default:
-        const options = timezone === 'local' ? {} : { timeZone: timezone };
-        preview = now.toLocaleString(undefined, {
-          ...options,
-          year: 'numeric',
-          month: 'short',
-          day: 'numeric',
-          hour: '2-digit',
-          minute: '2-digit',
-          second: '2-digit',
-          hour12: true
-        });
-    }
-  } catch {
-    preview = now.toLocaleString();
+function updateRangeDates() {
+  const start = elements.rangeStart.value;
+  const end = elements.rangeEnd.value;
+  
+  let error = '';
+  if (!start || !end) {
+    error = 'Enter both dates';
+  } else if (start >= end) {
+    error = 'The start date must be before the end date';
   }
   
-  elements.formatPreview.textContent = preview;
+  showRangeErrors(error, elements.rangeYearsError.textContent);
+  if (error) return;
+  
+  settings.rangeStart = start;
+  settings.rangeEnd = end;
+  elements.rangePreset.value = getRangePreset();
+  autoSave();
 }
 
 /**
- * Format date with custom pattern
+ * Show or clear the inline date window errors; invalid values are not saved
  */
-function formatCustom(date, pattern, timezone) {
-  const options = timezone === 'local' ? {} : { timeZone: timezone };
-  
-  // Get parts
-  const formatter = new Intl.DateTimeFormat('en-US', {
-    ...options,
-    year: 'numeric',
-    month: '2-digit',
-    day: '2-digit',
-    hour: '2-digit',
-    minute: '2-digit',
-    second: '2-digit',
-    hour12: false
-  });
-  
-  const parts = {};
-  formatter.formatToParts(date).forEach(({ type, value }) => {
-    parts[type] = value;
-  });
-  
-  const hour = parseInt(parts.hour, 10);
-  const hour12 = hour === 0 ? 12 : (hour > 12 ? hour - 12 : hour);
-  
-  // Token replacements
-  const tokens = {
-    'YYYY': parts.year,
-    'MM': parts.month,
-    'DD': parts.day,
-    'HH': parts.hour,
-    'hh': String(hour12).padStart(2, '0'),
-    'mm': parts.minute,
-    'ss': parts.second,
-    'A': hour < 12 ? 'AM' : 'PM',
-    'a': hour < 12 ? 'am' : 'pm'
-  };
+function showRangeErrors(datesError, yearsError) {
+  elements.rangeDatesError.textContent = datesError;
+  elements.rangeStart.classList.toggle('invalid', Boolean(datesError));
+  elements.rangeEnd.classList.toggle('invalid', Boolean(datesError));
   
-  let result = pattern;
-  Object.keys(tokens).sort((a, b) => b.length - a.length).forEach(token => {
-    result = result.replace(new RegExp(token, 'g'), tokens[token]);
-  });
-  
-  return result;
+  elements.rangeYearsError.textContent = yearsError;
+  elements.rangeYears.classList.toggle('invalid', Boolean(yearsError));
+}
+
+/**
+ * Update format preview
+ */
+function updateFormatPreview() {
+  elements.formatPreview.textContent = Converter.formatDate(new Date(), settings);
 }
 
 /**
@@ -327,7 +910,7 @@ function autoSave() {
   // Debounce save by 300ms
   saveTimeout = setTimeout(async () => {
     try {
-      await saveSettings();
+      await Storage.saveSettings(settings);
       showAutoSaveIndicator();
       
       // Notify all tabs to reload settings
@@ -335,7 +918,7 @@ function autoSave() {
         tabs.forEach(tab => {
           if (tab.id) {
             chrome.tabs.sendMessage(tab.id, {
-              type: 'UPDATE_SETTINGS',
+              type: Constants.MESSAGE_TYPES.UPDATE_SETTINGS,
               settings
             }).catch(() => {
               // Tab might not have content script
@@ -367,13 +950,13 @@ function showAutoSaveIndicator() {
 async function resetSettings() {
   if (!confirm('Reset all settings to defaults?')) return;
   
-  settings = { ...DEFAULT_SETTINGS };
+  settings = { ...Constants.DEFAULT_SETTINGS };
   populateForm();
   updateConditionalFields();
   updateFormatPreview();
   
   try {
-    await saveSettings();
+    await Storage.saveSettings(settings);
     showToast('Settings reset to defaults');
     
     // Notify all tabs to reload settings
@@ -381,7 +964,7 @@ async function resetSettings() {
       tabs.forEach(tab => {
         if (tab.id) {
           chrome.tabs.sendMessage(tab.id, {
-            type: 'UPDATE_SETTINGS',
+            type: Constants.MESSAGE_TYPES.UPDATE_SETTINGS,
             settings
           }).catch(() => {
             // Tab might not have content script
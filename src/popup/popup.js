@@ -3,29 +3,38 @@
  * Handles popup UI interactions and state
  */
 
-// Constants
-const STORAGE_KEY = 'epochlens_settings';
-const STATS_KEY = 'epochlens_stats';
-const MIN_TIMESTAMP_MS = 946684800000;
-const MAX_TIMESTAMP_MS = 4102444800000;
-
-const DEFAULT_SETTINGS = {
-  enabled: true,
-  displayMode: 'tooltip',
-  timezone: 'local',
-  showSecondaryTimezone: false,
-  secondaryTimezone: 'UTC',
-  dateFormat: 'locale',
-  customFormat: 'YYYY-MM-DD HH:mm:ss',
-  showBadgeCount: true,
-  highlightStyle: 'dotted',
-  autoScan: true,
-  scanDelay: 500
-};
+import { Batch } from '../utils/batch.js';
+import { Constants } from '../utils/constants.js';
+import { Converter } from '../utils/converter.js';
+import { Exporter } from '../utils/exporter.js';
+import { Expressions } from '../utils/expressions.js';
+import { ConversionHistory } from '../utils/history.js';
+import { Periods } from '../utils/periods.js';
+import { SiteRules } from '../utils/site-rules.js';
+import { Storage } from '../utils/storage.js';
+import { Timeline } from '../utils/timeline.js';
+import { Timezones } from '../utils/timezones.js';
 
 // State
-let settings = { ...DEFAULT_SETTINGS };
+let settings = { ...Constants.DEFAULT_SETTINGS };
 let currentInput = '';
+let currentUrl = '';
+let currentTabId = null;
+let pageTimestamps = [];
+let pageTimezone = null;
+let timelineView = null;
+let timelineSelection = null;
+let batchMatches = [];
+let boundaryMs = null;
+let boundaryUnit = 's';
+let historyEntries = [];
+let historyTimer = null;
+
+// Most inventory rows to show at once (long logs can have thousands of timestamps)
+const INVENTORY_LIMIT = 300;
+
+// Wait for typing to settle before recording a popup conversion (ms)
+const HISTORY_DELAY = 1500;
 
 // DOM Elements
 const elements = {
@@ -42,6 +51,11 @@ const elements = {
   
   // Results
   resultCard: document.getElementById('resultCard'),
+  durationCard: document.getElementById('durationCard'),
+  durationReadable: document.getElementById('durationReadable'),
+  durationSeconds: document.getElementById('durationSeconds'),
+  durationMs: document.getElementById('durationMs'),
+  durationIso: document.getElementById('durationIso'),
   errorCard: document.getElementById('errorCard'),
   emptyState: document.getElementById('emptyState'),
   errorMessage: document.getElementById('errorMessage'),
@@ -52,18 +66,62 @@ const elements = {
   epochMs: document.getElementById('epochMs'),
   timezoneLabel: document.getElementById('timezoneLabel'),
   formattedDate: document.getElementById('formattedDate'),
-  secondaryTzGroup: document.getElementById('secondaryTzGroup'),
-  secondaryTzLabel: document.getElementById('secondaryTzLabel'),
-  secondaryDate: document.getElementById('secondaryDate'),
+  secondaryTzList: document.getElementById('secondaryTzList'),
+  secondaryTzTemplate: document.getElementById('secondaryTzTemplate'),
   isoDate: document.getElementById('isoDate'),
   relativeTime: document.getElementById('relativeTime'),
+  boundariesLabel: document.getElementById('boundariesLabel'),
+  boundaryUnits: document.getElementById('boundaryUnits'),
+  boundaries: document.getElementById('boundaries'),
+  idGroup: document.getElementById('idGroup'),
+  idLabel: document.getElementById('idLabel'),
+  idFields: document.getElementById('idFields'),
+  
+  // Batch
+  batchInput: document.getElementById('batchInput'),
+  batchCount: document.getElementById('batchCount'),
+  batchMode: document.getElementById('batchMode'),
+  batchFormat: document.getElementById('batchFormat'),
+  batchOutput: document.getElementById('batchOutput'),
+  copyBatchTextBtn: document.getElementById('copyBatchTextBtn'),
+  copyBatchTableBtn: document.getElementById('copyBatchTableBtn'),
+  
+  // Inventory
+  inventoryFilter: document.getElementById('inventoryFilter'),
+  inventoryCount: document.getElementById('inventoryCount'),
+  inventoryList: document.getElementById('inventoryList'),
+  inventoryItemTemplate: document.getElementById('inventoryItemTemplate'),
+  inventoryEmpty: document.getElementById('inventoryEmpty'),
+  inventoryEmptyText: document.getElementById('inventoryEmptyText'),
+  exportCsvBtn: document.getElementById('exportCsvBtn'),
+  exportJsonBtn: document.getElementById('exportJsonBtn'),
+  timeline: document.getElementById('timeline'),
+  timelineScale: document.getElementById('timelineScale'),
+  timelineReset: document.getElementById('timelineReset'),
+  timelineBars: document.getElementById('timelineBars'),
+  timelineStart: document.getElementById('timelineStart'),
+  timelineEnd: document.getElementById('timelineEnd'),
+  
+  // History
+  historyFilter: document.getElementById('historyFilter'),
+  historyCount: document.getElementById('historyCount'),
+  historyList: document.getElementById('historyList'),
+  historyItemTemplate: document.getElementById('historyItemTemplate'),
+  historyEmpty: document.getElementById('historyEmpty'),
+  historyEmptyText: document.getElementById('historyEmptyText'),
+  exportHistoryBtn: document.getElementById('exportHistoryBtn'),
+  clearHistoryBtn: document.getElementById('clearHistoryBtn'),
   
   // Stats
   pageCount: document.getElementById('pageCount'),
+  scanProgress: document.getElementById('scanProgress'),
   totalConverted: document.getElementById('totalConverted'),
   
   // Quick settings
   enabledToggle: document.getElementById('enabledToggle'),
+  siteToggle: document.getElementById('siteToggle'),
+  siteHost: document.getElementById('siteHost'),
+  siteRulesLink: document.getElementById('siteRulesLink'),
   badgeToggle: document.getElementById('badgeToggle'),
   autoScanToggle: document.getElementById('autoScanToggle'),
   rescanBtn: document.getElementById('rescanBtn'),
@@ -79,7 +137,10 @@ const elements = {
  */
 async function init() {
   // Load settings
-  settings = await getSettings();
+  settings = await Storage.getSettings();
+  
+  // Find the active tab's site for per-site rules
+  await loadCurrentSite();
   
   // Set up event listeners
   setupEventListeners();
@@ -119,10 +180,15 @@ function setupEventListeners() {
     elements.input.focus();
   });
   
-  // Paste button
+  // Paste button; several lines go to the batch converter
   elements.pasteBtn.addEventListener('click', async () => {
     try {
       const text = await navigator.clipboard.readText();
+      if (text.trim().includes('\n')) {
+        elements.batchInput.value = text;
+        switchTab('batch');
+        return;
+      }
       elements.input.value = text.trim();
       handleInput();
     } catch {
@@ -136,11 +202,13 @@ function setupEventListeners() {
     handleInput();
   });
   
-  // Copy buttons
-  document.querySelectorAll('.copy-btn').forEach(btn => {
-    btn.addEventListener('click', () => {
-      const targetId = btn.dataset.copy;
-      const target = document.getElementById(targetId);
+  // Copy buttons (delegated, since secondary timezone rows are rendered per result)
+  [elements.resultCard, elements.durationCard].forEach((card) => {
+    card.addEventListener('click', (event) => {
+      const btn = event.target.closest('.copy-btn');
+      if (!btn) return;
+      
+      const target = document.getElementById(btn.dataset.copy);
       if (target) {
         copyToClipboard(target.textContent);
         showCopyFeedback(btn);
@@ -148,12 +216,29 @@ function setupEventListeners() {
     });
   });
   
+  // Period boundaries in seconds or milliseconds
+  elements.boundaryUnits.addEventListener('click', (event) => {
+    const btn = event.target.closest('.unit-btn');
+    if (!btn) return;
+    
+    boundaryUnit = btn.dataset.unit;
+    elements.boundaryUnits.querySelectorAll('.unit-btn').forEach((unitBtn) => {
+      unitBtn.classList.toggle('active', unitBtn === btn);
+    });
+    showBoundaries(boundaryMs);
+  });
+  
   // Quick settings toggles
   elements.enabledToggle.addEventListener('change', async () => {
     await updateSetting('enabled', elements.enabledToggle.checked);
     notifyContentScript();
   });
   
+  elements.siteToggle.addEventListener('change', async () => {
+    await setSiteEnabled(elements.siteToggle.checked);
+    notifyContentScript();
+  });
+  
   elements.badgeToggle.addEventListener('change', async () => {
     await updateSetting('showBadgeCount', elements.badgeToggle.checked);
   });
@@ -163,6 +248,41 @@ function setupEventListeners() {
     notifyContentScript();
   });
   
+  // Batch converter
+  elements.batchInput.addEventListener('input', handleBatchInput);
+  elements.batchMode.addEventListener('change', handleBatchInput);
+  elements.batchFormat.addEventListener('change', handleBatchInput);
+  elements.copyBatchTextBtn.addEventListener('click', () => {
+    const text = Batch.transform(elements.batchInput.value, batchMatches, elements.batchMode.value);
+    copyToClipboard(text);
+    showCopyFeedback(elements.copyBatchTextBtn);
+  });
+  elements.copyBatchTableBtn.addEventListener('click', () => {
+    copyToClipboard(Batch.toTable(batchMatches));
+    showCopyFeedback(elements.copyBatchTableBtn);
+  });
+  
+  // Inventory filter
+  elements.inventoryFilter.addEventListener('input', renderInventory);
+  elements.exportCsvBtn.addEventListener('click', () => exportPageTimestamps('csv'));
+  elements.exportJsonBtn.addEventListener('click', () => exportPageTimestamps('json'));
+  
+  // Timeline zoom
+  elements.timelineBars.addEventListener('wheel', zoomTimeline, { passive: false });
+  elements.timelineReset.addEventListener('click', () => {
+    timelineView = null;
+    renderTimeline();
+  });
+  
+  // History
+  elements.historyFilter.addEventListener('input', renderHistory);
+  elements.exportHistoryBtn.addEventListener('click', exportHistory);
+  elements.clearHistoryBtn.addEventListener('click', async () => {
+    historyEntries = await chrome.runtime.sendMessage({ type: Constants.MESSAGE_TYPES.CLEAR_HISTORY })
+      .catch(() => historyEntries);
+    renderHistory();
+  });
+  
   // Rescan button
   elements.rescanBtn.addEventListener('click', rescanPage);
   
@@ -172,6 +292,17 @@ function setupEventListeners() {
     e.preventDefault();
     openOptionsPage();
   });
+  elements.siteRulesLink.addEventListener('click', (e) => {
+    e.preventDefault();
+    openOptionsPage();
+  });
+  
+  // Live progress while the page is being scanned
+  chrome.runtime.onMessage.addListener((message, sender) => {
+    if (message.type === Constants.MESSAGE_TYPES.SCAN_PROGRESS && sender.tab?.id === currentTabId) {
+      showPageStats(message);
+    }
+  });
 }
 
 /**
@@ -188,6 +319,15 @@ function switchTab(tabId) {
   
   if (tabId === 'stats') {
     loadStats();
+  } else if (tabId === 'inventory') {
+    loadInventory();
+    elements.inventoryFilter.focus();
+  } else if (tabId === 'batch') {
+    handleBatchInput();
+    elements.batchInput.focus();
+  } else if (tabId === 'history') {
+    loadHistory();
+    elements.historyFilter.focus();
   }
 }
 
@@ -196,6 +336,7 @@ function switchTab(tabId) {
  */
 function handleInput() {
   const value = elements.input.value.trim();
+  clearTimeout(historyTimer);
   
   if (!value) {
     showEmptyState();
@@ -205,200 +346,249 @@ function handleInput() {
   
   currentInput = value;
   
+  // Date arithmetic ("now - 7d", "1714560000 + 90m")
+  if (Expressions.isExpression(value)) {
+    elements.inputHint.textContent = '(expression)';
+    showExpressionResult(Expressions.evaluate(value, settings));
+    showIdResult(null);
+    return;
+  }
+  
   // Detect input type
   const inputType = detectInputType(value);
   elements.inputHint.textContent = inputType ? `(${inputType})` : '';
   
-  // Try to convert
-  if (isValidTimestamp(value)) {
-    showTimestampResult(value);
+  // Try to convert; a 19-digit value can be both a ns timestamp and a snowflake
+  const decodedId = Converter.decodeId(value, settings);
+  const timestamp = Converter.convert(value, settings);
+  
+  if (timestamp.success) {
+    showResult(timestamp, timestamp.unit.charAt(0).toUpperCase() + timestamp.unit.slice(1));
+  } else if (decodedId) {
+    showResult(Converter.convertId(value, settings), decodedId.name);
   } else {
-    // Try to parse as date
-    const date = parseDate(value);
-    if (date) {
-      showDateResult(date, value);
+    // Try to parse as a date, including relative phrases like "yesterday 3pm"
+    const date = Converter.convertAnyDate(value, settings);
+    if (date.success) {
+      showResult(date, 'From Date');
     } else {
       showError('Invalid timestamp or date format');
     }
   }
+  
+  showIdResult(decodedId);
 }
 
 /**
- * Detect input type
+ * Convert every timestamp in the batch text and preview the result
  */
-function detectInputType(value) {
-  if (/^\d{10}$/.test(value)) return 'seconds';
-  if (/^\d{13}$/.test(value)) return 'milliseconds';
-  if (/^\d{4}-\d{2}-\d{2}/.test(value)) return 'date';
-  if (/^\w+ \d+/.test(value)) return 'date string';
-  return null;
+function handleBatchInput() {
+  const text = elements.batchInput.value;
+  const dateFormat = elements.batchFormat.value || settings.dateFormat;
+  
+  batchMatches = Batch.convertAll(text, { ...settings, dateFormat });
+  
+  // Converted values are highlighted in the preview; the copied text is plain
+  elements.batchOutput.replaceChildren(...Batch.split(text, batchMatches, elements.batchMode.value).map((part) => {
+    if (typeof part === 'string') return document.createTextNode(part);
+    
+    const mark = document.createElement('mark');
+    mark.className = 'batch-match';
+    mark.textContent = part.output;
+    mark.title = `${part.value} (${part.unit}) · ${part.iso}`;
+    return mark;
+  }));
+  
+  const count = batchMatches.length;
+  elements.batchCount.textContent = text.trim() ? `(${count} timestamp${count === 1 ? '' : 's'})` : '';
+  elements.batchOutput.style.display = count ? 'block' : 'none';
+  elements.copyBatchTextBtn.disabled = count === 0;
+  elements.copyBatchTableBtn.disabled = count === 0;
 }
 
 /**
- * Check if value is a valid timestamp
+ * Show the periods around an instant, in the configured timezone
  */
-function isValidTimestamp(value) {
-  if (!/^\d{10}$|^\d{13}$/.test(value)) return false;
-  
-  const num = Number(value);
-  const ms = value.length === 10 ? num * 1000 : num;
+function showBoundaries(ms) {
+  const timezone = Timezones.isValid(settings.timezone) ? settings.timezone : 'local';
+  boundaryMs = ms;
   
-  return ms >= MIN_TIMESTAMP_MS && ms <= MAX_TIMESTAMP_MS;
+  elements.boundariesLabel.textContent = `Period Boundaries · ${Timezones.getLabel(timezone)}`;
+  elements.boundaries.replaceChildren(...Periods.getBoundaries(ms, timezone).flatMap(({ label, start, end }) => {
+    const name = document.createElement('span');
+    name.className = 'boundary-label';
+    name.textContent = label;
+    
+    return [
+      name,
+      createBoundaryValue(start, `Start of ${label.toLowerCase()}`),
+      createBoundaryValue(end, `End of ${label.toLowerCase()}`)
+    ];
+  }));
 }
 
 /**
- * Parse date string
+ * Create a boundary value that copies itself in the chosen unit
  */
-function parseDate(value) {
-  try {
-    const date = new Date(value);
-    if (isNaN(date.getTime())) return null;
-    
-    const ms = date.getTime();
-    if (ms < MIN_TIMESTAMP_MS || ms > MAX_TIMESTAMP_MS) return null;
-    
-    return date;
-  } catch {
-    return null;
-  }
+function createBoundaryValue(ms, description) {
+  const value = boundaryUnit === 's' ? String(Math.floor(ms / 1000)) : String(ms);
+  const button = document.createElement('button');
+  
+  button.className = 'boundary-value';
+  button.textContent = value;
+  button.title = `${description}: ${Converter.formatDate(new Date(ms), settings)}`;
+  button.addEventListener('click', () => {
+    copyToClipboard(value);
+    showCopyFeedback(button);
+  });
+  
+  return button;
 }
 
 /**
- * Show timestamp conversion result
+ * Show an evaluated expression: a date in every result format, or a duration
  */
-function showTimestampResult(timestamp) {
-  const num = Number(timestamp);
-  const isSeconds = timestamp.length === 10;
-  const ms = isSeconds ? num * 1000 : num;
-  const date = new Date(ms);
+function showExpressionResult(evaluated) {
+  if (!evaluated.success) {
+    showError(evaluated.error);
+    return;
+  }
   
-  // Update result elements
-  elements.timestampType.textContent = isSeconds ? 'Seconds' : 'Milliseconds';
-  elements.epochSeconds.textContent = Math.floor(ms / 1000);
-  elements.epochMs.textContent = `${ms} ms`;
-  
-  // Primary timezone
-  const tzLabel = settings.timezone === 'local' ? 'Local Time' : settings.timezone;
-  elements.timezoneLabel.textContent = tzLabel;
-  elements.formattedDate.textContent = formatDate(date, settings.timezone);
-  
-  // Secondary timezone
-  if (settings.showSecondaryTimezone && settings.secondaryTimezone) {
-    elements.secondaryTzGroup.style.display = 'block';
-    elements.secondaryTzLabel.textContent = settings.secondaryTimezone;
-    elements.secondaryDate.textContent = formatDate(date, settings.secondaryTimezone);
-  } else {
-    elements.secondaryTzGroup.style.display = 'none';
+  if (evaluated.type === 'instant') {
+    showResult(Converter.convertMilliseconds(evaluated.ms, settings, evaluated.subMillisecond), 'Expression');
+    return;
   }
   
-  // ISO format
-  elements.isoDate.textContent = date.toISOString();
+  const { ms } = evaluated;
+  elements.durationReadable.textContent = Converter.formatDuration(ms);
+  elements.durationSeconds.textContent = String(ms / 1000);
+  elements.durationMs.textContent = `${ms} ms`;
+  elements.durationIso.textContent = Expressions.toIsoDuration(ms);
+  rememberConversion(Converter.formatDuration(ms), 'Duration');
   
-  // Relative time
-  elements.relativeTime.textContent = formatRelative(date);
-  
-  // Show result card
-  elements.resultCard.style.display = 'block';
+  elements.durationCard.style.display = 'block';
+  elements.resultCard.style.display = 'none';
   elements.errorCard.style.display = 'none';
   elements.emptyState.style.display = 'none';
 }
 
 /**
- * Show date to timestamp result
+ * Detect input type
+ */
+function detectInputType(value) {
+  const unit = Converter.getUnit(value);
+  if (unit) return unit;
+  
+  const decodedId = Converter.decodeId(value, settings);
+  if (decodedId) return decodedId.name;
+  
+  if (/^\d{4}-\d{2}-\d{2}/.test(value)) return 'date';
+  if (/^\w+ \d+/.test(value)) return 'date string';
+  return null;
+}
+
+/**
+ * Show a conversion result from the shared converter
  */
-function showDateResult(date, originalInput) {
-  const ms = date.getTime();
+function showResult(result, typeLabel) {
+  const { date, milliseconds, subMillisecond } = result;
   
   // Update result elements
-  elements.timestampType.textContent = 'From Date';
-  elements.epochSeconds.textContent = Math.floor(ms / 1000);
-  elements.epochMs.textContent = `${ms} ms`;
-  
-  // Primary timezone
-  const tzLabel = settings.timezone === 'local' ? 'Local Time' : settings.timezone;
-  elements.timezoneLabel.textContent = tzLabel;
-  elements.formattedDate.textContent = formatDate(date, settings.timezone);
-  
-  // Secondary timezone
-  if (settings.showSecondaryTimezone && settings.secondaryTimezone) {
-    elements.secondaryTzGroup.style.display = 'block';
-    elements.secondaryTzLabel.textContent = settings.secondaryTimezone;
-    elements.secondaryDate.textContent = formatDate(date, settings.secondaryTimezone);
-  } else {
-    elements.secondaryTzGroup.style.display = 'none';
-  }
+  elements.timestampType.textContent = typeLabel;
+  elements.epochSeconds.textContent = result.seconds;
+  elements.epochMs.textContent = subMillisecond ? `${milliseconds}.${subMillisecond} ms` : `${milliseconds} ms`;
+  
+  // Primary timezone, in the configured date format
+  setTimezoneLabel(elements.timezoneLabel, settings.timezone, date);
+  elements.formattedDate.textContent = result.formatted;
+  
+  // Secondary timezones
+  showSecondaryTimezones(result);
   
-  // ISO format
-  elements.isoDate.textContent = date.toISOString();
+  // ISO format, keeping sub-millisecond digits
+  elements.isoDate.textContent = result.isoPrecise || date.toISOString();
   
   // Relative time
-  elements.relativeTime.textContent = formatRelative(date);
+  elements.relativeTime.textContent = result.relative;
+  
+  // Start and end of the surrounding hour, day, week...
+  showBoundaries(milliseconds);
+  rememberConversion(result.formatted, typeLabel);
   
   // Show result card
   elements.resultCard.style.display = 'block';
+  elements.durationCard.style.display = 'none';
   elements.errorCard.style.display = 'none';
   elements.emptyState.style.display = 'none';
 }
 
 /**
- * Format date for display
+ * Show the fields decoded from an ID, or hide the group
  */
-function formatDate(date, timezone) {
-  try {
-    const options = timezone === 'local' ? {} : { timeZone: timezone };
-    
-    return date.toLocaleString(undefined, {
-      ...options,
-      year: 'numeric',
-      month: 'short',
-      day: 'numeric',
-      hour: '2-digit',
-      minute: '2-digit',
-      second: '2-digit',
-      hour12: true
-    });
-  } catch {
-    return date.toLocaleString();
+function showIdResult(decoded) {
+  elements.idFields.textContent = '';
+  
+  if (!decoded) {
+    elements.idGroup.style.display = 'none';
+    return;
   }
+  
+  const fields = [
+    { label: 'Created', value: Converter.formatDate(new Date(decoded.ms), settings) },
+    ...decoded.fields
+  ];
+  
+  fields.forEach(({ label, value }) => {
+    const row = document.createElement('div');
+    row.className = 'id-field';
+    
+    const name = document.createElement('span');
+    name.className = 'id-field-label';
+    name.textContent = label;
+    
+    const text = document.createElement('span');
+    text.className = 'id-field-value mono';
+    text.textContent = value;
+    
+    row.append(name, text);
+    elements.idFields.appendChild(row);
+  });
+  
+  elements.idLabel.textContent = decoded.name;
+  elements.idGroup.style.display = 'block';
 }
 
 /**
- * Format relative time
+ * Render one result group per secondary timezone, in the configured order
  */
-function formatRelative(date) {
-  const now = new Date();
-  const diff = now - date;
-  const absDiff = Math.abs(diff);
-  const isPast = diff > 0;
-  
-  const seconds = Math.floor(absDiff / 1000);
-  const minutes = Math.floor(seconds / 60);
-  const hours = Math.floor(minutes / 60);
-  const days = Math.floor(hours / 24);
-  
-  let value, unit;
-  
-  if (seconds < 60) {
-    value = seconds;
-    unit = 'second';
-  } else if (minutes < 60) {
-    value = minutes;
-    unit = 'minute';
-  } else if (hours < 24) {
-    value = hours;
-    unit = 'hour';
-  } else {
-    value = days;
-    unit = 'day';
-  }
+function showSecondaryTimezones(result) {
+  elements.secondaryTzList.textContent = '';
   
-  const plural = value !== 1 ? 's' : '';
+  // result.secondary fills in zone names for empty labels; the label here only shows custom ones
+  Converter.getSecondaryTimezones(settings).forEach(({ timezone, label }, index) => {
+    const group = elements.secondaryTzTemplate.content.firstElementChild.cloneNode(true);
+    const value = group.querySelector('.result-value');
+    
+    value.id = `secondaryDate${index}`;
+    value.textContent = result.secondary[index].formatted;
+    group.querySelector('.copy-btn').dataset.copy = value.id;
+    setTimezoneLabel(group.querySelector('.result-label'), timezone, result.date, label);
+    
+    elements.secondaryTzList.appendChild(group);
+  });
+}
+
+/**
+ * Label a result with its zone and UTC offset, or flag a zone this browser doesn't know
+ */
+function setTimezoneLabel(element, timezone, date, label = '') {
+  const valid = Timezones.isValid(timezone);
+  const prefix = label ? `${label} · ` : '';
   
-  if (isPast) {
-    return value === 0 ? 'just now' : `${value} ${unit}${plural} ago`;
-  } else {
-    return `in ${value} ${unit}${plural}`;
-  }
+  element.textContent = valid
+    ? `${prefix}${Timezones.getLabel(timezone)} · UTC${Timezones.getOffset(timezone, date)}`
+    : `${prefix}Unknown timezone "${timezone}" · showing local time`;
+  element.classList.toggle('warning', !valid);
 }
 
 /**
@@ -408,6 +598,7 @@ function showError(message) {
   elements.errorMessage.textContent = message;
   elements.errorCard.style.display = 'flex';
   elements.resultCard.style.display = 'none';
+  elements.durationCard.style.display = 'none';
   elements.emptyState.style.display = 'none';
 }
 
@@ -417,6 +608,7 @@ function showError(message) {
 function showEmptyState() {
   elements.emptyState.style.display = 'flex';
   elements.resultCard.style.display = 'none';
+  elements.durationCard.style.display = 'none';
   elements.errorCard.style.display = 'none';
 }
 
@@ -457,23 +649,12 @@ function showToast() {
   setTimeout(() => elements.toast.classList.remove('show'), 2000);
 }
 
-/**
- * Load settings from storage
- */
-async function getSettings() {
-  return new Promise((resolve) => {
-    chrome.storage.sync.get(STORAGE_KEY, (result) => {
-      resolve({ ...DEFAULT_SETTINGS, ...result[STORAGE_KEY] });
-    });
-  });
-}
-
 /**
  * Update a single setting
  */
 async function updateSetting(key, value) {
   settings[key] = value;
-  await chrome.storage.sync.set({ [STORAGE_KEY]: settings });
+  await Storage.saveSettings(settings);
 }
 
 /**
@@ -481,10 +662,52 @@ async function updateSetting(key, value) {
  */
 function updateToggles() {
   elements.enabledToggle.checked = settings.enabled;
+  elements.siteToggle.checked = Boolean(currentUrl) &&
+    SiteRules.resolve({ ...settings, enabled: true }, currentUrl).enabled;
+  elements.siteToggle.disabled = !currentUrl;
   elements.badgeToggle.checked = settings.showBadgeCount;
   elements.autoScanToggle.checked = settings.autoScan;
 }
 
+/**
+ * Load the active tab's URL (only http/https pages can have site rules)
+ */
+async function loadCurrentSite() {
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    const url = new URL(tab.url);
+    if (url.protocol === 'http:' || url.protocol === 'https:') {
+      currentUrl = url.href;
+      elements.siteHost.textContent = url.hostname;
+    }
+  } catch {
+    currentUrl = '';
+  }
+}
+
+/**
+ * Enable or disable EpochLens for the active tab's host via a site rule
+ */
+async function setSiteEnabled(enabled) {
+  const host = new URL(currentUrl).hostname;
+  const rules = (settings.siteRules || []).slice();
+  const index = rules.findIndex(rule => rule.pattern === host);
+  const rule = index >= 0 ? { ...rules[index] } : { pattern: host, overrides: {} };
+  
+  rule.enabled = enabled;
+  if (index >= 0) rules.splice(index, 1);
+  
+  // Drop the host rule when the remaining rules already give the wanted state; otherwise
+  // put it first, since the first matching rule wins over broader patterns
+  const resolved = SiteRules.resolve({ ...settings, siteRules: rules, enabled: true }, currentUrl);
+  if (resolved.enabled !== enabled || SiteRules.hasOverrides(rule)) {
+    rules.unshift(rule);
+  }
+  
+  await updateSetting('siteRules', rules);
+  updateToggles();
+}
+
 /**
  * Load page and total stats
  */
@@ -493,9 +716,10 @@ async function loadStats() {
   try {
     const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
     if (tab?.id) {
-      chrome.tabs.sendMessage(tab.id, { type: 'GET_PAGE_STATS' }, (response) => {
+      currentTabId = tab.id;
+      chrome.tabs.sendMessage(tab.id, { type: Constants.MESSAGE_TYPES.GET_PAGE_STATS }, (response) => {
         if (response) {
-          elements.pageCount.textContent = response.timestampCount || 0;
+          showPageStats(response);
         }
       });
     }
@@ -504,12 +728,301 @@ async function loadStats() {
   }
   
   // Get total stats
-  chrome.storage.local.get(STATS_KEY, (result) => {
-    const stats = result[STATS_KEY] || {};
-    elements.totalConverted.textContent = stats.totalConverted || 0;
+  const stats = await Storage.getStats();
+  elements.totalConverted.textContent = stats.totalConverted || 0;
+}
+
+/**
+ * Show the page's timestamp count and, while a scan is running, how far it is
+ */
+function showPageStats({ timestampCount, scanned, total }) {
+  elements.pageCount.textContent = timestampCount || 0;
+  
+  const scanning = total > 0 && scanned < total;
+  elements.scanProgress.style.display = scanning ? 'block' : 'none';
+  if (scanning) {
+    elements.scanProgress.textContent = `Scanning… ${Math.floor(scanned / total * 100)}%`;
+  }
+}
+
+/**
+ * Load every timestamp found on the active page, oldest first (unconvertible ones last)
+ */
+function loadInventory() {
+  if (!currentTabId) {
+    pageTimestamps = [];
+    renderInventory();
+    renderTimeline();
+    return;
+  }
+  
+  chrome.tabs.sendMessage(currentTabId, { type: Constants.MESSAGE_TYPES.GET_PAGE_TIMESTAMPS }, (response) => {
+    // Pages without the content script (chrome://, the Web Store) don't answer
+    pageTimestamps = !chrome.runtime.lastError && response
+      ? Exporter.sortChronologically(response.timestamps)
+      : [];
+    pageTimezone = response?.timezone || null;
+    timelineView = null;
+    timelineSelection = null;
+    renderInventory();
+    renderTimeline();
+  });
+}
+
+/**
+ * Show the inventory entries matching the filter and the selected timeline bar
+ */
+function renderInventory() {
+  const query = elements.inventoryFilter.value.trim().toLowerCase();
+  const filtered = Boolean(query || timelineSelection);
+  const matches = filtered
+    ? pageTimestamps.filter(entry => (!timelineSelection || timelineSelection.ids.has(entry.id))
+      && (!query || [entry.value, entry.formatted, entry.type].some(text => text.toLowerCase().includes(query))))
+    : pageTimestamps;
+  
+  elements.inventoryList.replaceChildren(...matches.slice(0, INVENTORY_LIMIT).map(createInventoryItem));
+  
+  let count = filtered ? `${matches.length} of ${pageTimestamps.length}` : String(pageTimestamps.length);
+  if (matches.length > INVENTORY_LIMIT) count += ` · first ${INVENTORY_LIMIT} shown`;
+  elements.inventoryCount.textContent = count;
+  
+  elements.inventoryEmpty.style.display = matches.length === 0 ? 'flex' : 'none';
+  elements.exportCsvBtn.disabled = pageTimestamps.length === 0;
+  elements.exportJsonBtn.disabled = pageTimestamps.length === 0;
+  elements.inventoryEmptyText.textContent = filtered
+    ? 'No timestamps match the filter'
+    : 'No timestamps found on this page';
+}
+
+/**
+ * Plot the page's dated timestamps as a histogram over the zoomed range
+ */
+function renderTimeline() {
+  const dated = pageTimestamps.filter(entry => entry.ms !== null);
+  const extent = Timeline.getExtent(dated.map(entry => entry.ms));
+  
+  // A single timestamp has no shape worth plotting
+  elements.timeline.style.display = dated.length > 1 ? 'block' : 'none';
+  if (dated.length < 2) return;
+  
+  const view = timelineView || extent;
+  const buckets = Timeline.bucketize(dated, view);
+  const tallest = Math.max(...buckets.map(bucket => bucket.ids.length));
+  
+  elements.timelineBars.replaceChildren(...buckets.map((bucket) => {
+    const button = document.createElement('button');
+    const bar = document.createElement('span');
+    const count = bucket.ids.length;
+    
+    button.className = 'timeline-bucket';
+    button.disabled = count === 0;
+    button.classList.toggle('active', timelineSelection?.start === bucket.start);
+    button.title = `${count} timestamp${count === 1 ? '' : 's'}\n${formatTimelineDate(bucket.start)} – ${formatTimelineDate(bucket.end)}`;
+    button.addEventListener('click', () => selectTimelineBucket(bucket));
+    
+    // Keep small buckets visible next to a burst
+    bar.className = 'timeline-bar';
+    bar.style.height = count ? `${Math.max(4, (count / tallest) * 100)}%` : '0';
+    button.appendChild(bar);
+    return button;
+  }));
+  
+  elements.timelineScale.textContent = `${Converter.formatDuration((view.end - view.start) / buckets.length)} per bar`;
+  elements.timelineStart.textContent = formatTimelineDate(view.start);
+  elements.timelineEnd.textContent = formatTimelineDate(view.end);
+  elements.timelineReset.style.display = timelineView ? 'inline' : 'none';
+}
+
+/**
+ * Zoom the timeline in or out around the pointer
+ */
+function zoomTimeline(event) {
+  event.preventDefault();
+  
+  const extent = Timeline.getExtent(pageTimestamps.filter(entry => entry.ms !== null).map(entry => entry.ms));
+  if (!extent) return;
+  
+  const rect = elements.timelineBars.getBoundingClientRect();
+  const anchor = Math.min(1, Math.max(0, (event.clientX - rect.left) / rect.width));
+  timelineView = Timeline.zoom(timelineView || extent, event.deltaY < 0 ? 0.5 : 2, anchor, extent);
+  renderTimeline();
+}
+
+/**
+ * Show a timeline bar's timestamps in the list and highlight them on the page (clicking it again clears it)
+ */
+function selectTimelineBucket(bucket) {
+  timelineSelection = timelineSelection?.start === bucket.start
+    ? null
+    : { start: bucket.start, ids: new Set(bucket.ids) };
+  
+  renderInventory();
+  renderTimeline();
+  if (timelineSelection) highlightTimestamps(bucket.ids);
+}
+
+/**
+ * Format a timeline axis date in the timezone the page's dates are shown in
+ */
+function formatTimelineDate(ms) {
+  return Converter.formatDate(new Date(ms), {
+    dateFormat: 'custom',
+    customFormat: 'YYYY-MM-DD HH:mm:ss',
+    timezone: pageTimezone || settings.timezone
+  });
+}
+
+/**
+ * Create an inventory row that scrolls the page to its timestamp
+ */
+function createInventoryItem(entry) {
+  const item = elements.inventoryItemTemplate.content.firstElementChild.cloneNode(true);
+  const button = item.querySelector('.inventory-item');
+  
+  item.querySelector('.inventory-formatted').textContent = entry.ms === null ? 'Invalid timestamp' : entry.formatted;
+  item.querySelector('.inventory-value').textContent = entry.value;
+  item.querySelector('.inventory-type').textContent = entry.relative ? `${entry.type} · ${entry.relative}` : entry.type;
+  button.classList.toggle('low-confidence', entry.lowConfidence);
+  button.addEventListener('click', () => scrollToTimestamp(entry.id));
+  
+  return item;
+}
+
+/**
+ * Download every timestamp on the page (not just the filtered ones) as CSV or JSON
+ */
+async function exportPageTimestamps(format) {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  if (!tab?.id) return;
+  
+  chrome.tabs.sendMessage(tab.id, { type: Constants.MESSAGE_TYPES.GET_PAGE_TIMESTAMPS, details: true }, (response) => {
+    if (chrome.runtime.lastError || !response?.timestamps.length) return;
+    
+    Exporter.download(response.timestamps, format, { url: tab.url, timezone: response.timezone });
+  });
+}
+
+/**
+ * Scroll the page to a timestamp and flash it, reloading the list if the page changed since
+ */
+function scrollToTimestamp(id) {
+  chrome.tabs.sendMessage(currentTabId, { type: Constants.MESSAGE_TYPES.SCROLL_TO_TIMESTAMP, id }, (response) => {
+    if (chrome.runtime.lastError || !response?.success) {
+      loadInventory();
+    }
   });
 }
 
+/**
+ * Flash several timestamps on the page, scrolling to the first, reloading the list if the page changed since
+ */
+function highlightTimestamps(ids) {
+  chrome.tabs.sendMessage(currentTabId, { type: Constants.MESSAGE_TYPES.HIGHLIGHT_TIMESTAMPS, ids }, (response) => {
+    if (chrome.runtime.lastError || !response?.success) {
+      loadInventory();
+    }
+  });
+}
+
+/**
+ * Record the converter's result once the input stops changing
+ */
+function rememberConversion(output, type) {
+  clearTimeout(historyTimer);
+  if (!settings.keepHistory) return;
+  
+  const input = currentInput;
+  historyTimer = setTimeout(() => {
+    chrome.runtime.sendMessage({
+      type: Constants.MESSAGE_TYPES.ADD_HISTORY,
+      entry: { input, output, type, source: 'popup', url: currentUrl }
+    }).catch(() => {});
+  }, HISTORY_DELAY);
+}
+
+/**
+ * Load the conversion history from storage
+ */
+async function loadHistory() {
+  historyEntries = await ConversionHistory.getAll();
+  renderHistory();
+}
+
+/**
+ * Show the history entries matching the search, pinned ones first
+ */
+function renderHistory() {
+  const query = elements.historyFilter.value.trim();
+  const matches = ConversionHistory.search(historyEntries, query);
+  const sorted = [...matches.filter(entry => entry.pinned), ...matches.filter(entry => !entry.pinned)];
+  
+  elements.historyList.replaceChildren(...sorted.map(createHistoryItem));
+  elements.historyCount.textContent = query
+    ? `${matches.length} of ${historyEntries.length}`
+    : String(historyEntries.length);
+  
+  elements.historyEmpty.style.display = matches.length === 0 ? 'flex' : 'none';
+  elements.exportHistoryBtn.disabled = historyEntries.length === 0;
+  elements.clearHistoryBtn.disabled = !historyEntries.some(entry => !entry.pinned);
+  elements.historyEmptyText.textContent = query
+    ? 'No conversions match the search'
+    : 'No conversions yet';
+}
+
+/**
+ * Create a history row that reopens its input in the converter
+ */
+function createHistoryItem(entry) {
+  const item = elements.historyItemTemplate.content.firstElementChild.cloneNode(true);
+  const pin = item.querySelector('.history-pin');
+  const page = item.querySelector('.history-page');
+  const time = item.querySelector('.history-time');
+  const convertedAt = new Date(entry.convertedAt);
+  
+  item.querySelector('.history-output').textContent = entry.output;
+  item.querySelector('.history-input').textContent = entry.input;
+  // Page and context menu conversions record lowercase units ("seconds"), like the inventory
+  const type = entry.type ? entry.type.charAt(0).toUpperCase() + entry.type.slice(1) : '';
+  item.querySelector('.history-type').textContent = `${type} · ${ConversionHistory.SOURCES[entry.source] || entry.source}`;
+  
+  try {
+    page.textContent = entry.url ? new URL(entry.url).hostname : '';
+  } catch {
+    page.textContent = '';
+  }
+  page.title = entry.url;
+  
+  time.textContent = Converter.formatDate(convertedAt, { ...settings, dateFormat: 'relative' });
+  time.title = `Converted ${Converter.formatDate(convertedAt, settings)}`;
+  
+  pin.classList.toggle('pinned', entry.pinned);
+  pin.title = entry.pinned ? 'Unpin' : 'Pin';
+  pin.addEventListener('click', async () => {
+    historyEntries = await chrome.runtime.sendMessage({
+      type: Constants.MESSAGE_TYPES.PIN_HISTORY,
+      id: entry.id,
+      pinned: !entry.pinned
+    }).catch(() => historyEntries);
+    renderHistory();
+  });
+  
+  item.querySelector('.history-item').addEventListener('click', () => {
+    switchTab('converter');
+    elements.input.value = entry.input;
+    handleInput();
+  });
+  
+  return item;
+}
+
+/**
+ * Download the whole history (not just the search results) as CSV
+ */
+function exportHistory() {
+  const text = Exporter.toCsv(ConversionHistory.toRows(historyEntries), ConversionHistory.COLUMNS);
+  Exporter.saveFile(text, 'csv', Exporter.getStampedFilename('history', 'csv'));
+}
+
 /**
  * Rescan current page
  */
@@ -518,7 +1031,7 @@ async function rescanPage() {
     const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
     if (tab?.id) {
       chrome.tabs.sendMessage(tab.id, { 
-        type: 'UPDATE_SETTINGS', 
+        type: Constants.MESSAGE_TYPES.UPDATE_SETTINGS, 
         settings: { ...settings, enabled: true } 
       });
       
@@ -538,7 +1051,7 @@ async function notifyContentScript() {
     const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
     if (tab?.id) {
       chrome.tabs.sendMessage(tab.id, { 
-        type: 'UPDATE_SETTINGS', 
+        type: Constants.MESSAGE_TYPES.UPDATE_SETTINGS, 
         settings 
       });
     }
@@ -0,0 +1,134 @@
+/**
+ * EpochLens Batch
+ * Converts every epoch timestamp in a pasted block of text (log lines, JSON)
+ */
+
+import { Converter } from './converter.js';
+
+export const Batch = {
+  // Columns of the copied table and the match field each is read from
+  COLUMNS: [
+    { key: 'line', label: 'Line' },
+    { key: 'value', label: 'Value' },
+    { key: 'unit', label: 'Unit' },
+    { key: 'iso', label: 'ISO 8601 (UTC)' },
+    { key: 'formatted', label: 'Formatted' },
+    { key: 'relative', label: 'Relative' }
+  ],
+  
+  /**
+   * Find and convert every epoch timestamp in a text
+   * @param {string} text - Pasted text
+   * @param {Object} options - Settings; dateFormat picks the output format
+   * @returns {Array<Object>} Matches in text order: value, index, length, line, unit, iso, formatted, relative
+   */
+  convertAll(text, options = {}) {
+    let line = 1;
+    let scanned = 0;
+    
+    return Converter.findTimestamps(text, options).map((match) => {
+      // Count lines incrementally; matches come in text order
+      for (let i = scanned; i < match.index; i++) {
+        if (text.charCodeAt(i) === 10) line++;
+      }
+      scanned = match.index;
+      
+      const result = Converter.convert(match.value, options);
+      return {
+        value: match.value,
+        index: match.index,
+        length: match.length,
+        line,
+        unit: match.unit,
+        iso: result.isoPrecise || result.date.toISOString(),
+        formatted: result.formatted,
+        relative: result.relative
+      };
+    });
+  },
+  
+  /**
+   * Cut a text into plain runs and converted timestamps
+   * @param {string} text - Pasted text
+   * @param {Array<Object>} matches - Matches from convertAll
+   * @param {string} mode - 'annotate' keeps each value and appends its date, 'replace' swaps it for the date
+   * @returns {Array<string|Object>} Strings for plain runs, matches with their output text for timestamps
+   */
+  split(text, matches, mode) {
+    // Replaced bare numbers in JSON are quoted so the result still parses
+    const json = mode === 'replace' && this.isJson(text);
+    const parts = [];
+    let last = 0;
+    
+    matches.forEach((match) => {
+      if (match.index > last) parts.push(text.slice(last, match.index));
+      parts.push({ ...match, output: this._render(match, mode, json && !this._isQuoted(text, match)) });
+      last = match.index + match.length;
+    });
+    
+    if (last < text.length) parts.push(text.slice(last));
+    return parts;
+  },
+  
+  /**
+   * Rebuild a text with every timestamp annotated or replaced
+   * @param {string} text - Pasted text
+   * @param {Array<Object>} matches - Matches from convertAll
+   * @param {string} mode - 'annotate' or 'replace'
+   * @returns {string}
+   */
+  transform(text, matches, mode) {
+    return this.split(text, matches, mode)
+      .map(part => (typeof part === 'string' ? part : part.output))
+      .join('');
+  },
+  
+  /**
+   * Build a tab-separated table (pastes into spreadsheets as columns)
+   * @param {Array<Object>} matches - Matches from convertAll
+   * @returns {string}
+   */
+  toTable(matches) {
+    const clean = value => String(value).replace(/[\t\r\n]+/g, ' ');
+    const lines = [this.COLUMNS.map(column => column.label).join('\t')];
+    
+    matches.forEach((match) => {
+      lines.push(this.COLUMNS.map(column => clean(match[column.key])).join('\t'));
+    });
+    
+    return `${lines.join('\n')}\n`;
+  },
+  
+  /**
+   * Check if a text is a JSON document
+   * @param {string} text - Pasted text
+   * @returns {boolean}
+   */
+  isJson(text) {
+    if (!/^\s*[[{]/.test(text)) return false;
+    
+    try {
+      JSON.parse(text);
+      return true;
+    } catch {
+      return false;
+    }
+  },
+  
+  /**
+   * Get the text a match becomes
+   * @private
+   */
+  _render(match, mode, quote) {
+    if (mode === 'annotate') return `${match.value} [${match.formatted}]`;
+    return quote ? JSON.stringify(match.formatted) : match.formatted;
+  },
+  
+  /**
+   * Check if a match is already inside a string literal
+   * @private
+   */
+  _isQuoted(text, match) {
+    return text[match.index - 1] === '"' && text[match.index + match.length] === '"';
+  }
+};
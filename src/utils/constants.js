@@ -3,23 +3,36 @@
  * Shared configuration and constants across the extension
  */
 
-// Initialize global namespace
-if (typeof window.EpochLens === 'undefined') {
-  window.EpochLens = {};
-}
-
-window.EpochLens.Constants = {
-  // Timestamp detection regex - matches 10-digit (seconds) or 13-digit (milliseconds) numbers
-  TIMESTAMP_REGEX: /\b(\d{10}|\d{13})\b/g,
+export const Constants = {
+  // Timestamp detection regex - matches 10-digit (seconds), 13-digit (milliseconds),
+  // 16-digit (microseconds) or 19-digit (nanoseconds) numbers
+  TIMESTAMP_REGEX: /\b(\d{19}|\d{16}|\d{13}|\d{10})\b/g,
+  
+  // Timestamp precision keyed by digit count
+  TIMESTAMP_UNITS: {
+    10: 'seconds',
+    13: 'milliseconds',
+    16: 'microseconds',
+    19: 'nanoseconds'
+  },
   
-  // Valid timestamp range (2000-01-01 to 2100-01-01)
-  MIN_TIMESTAMP_MS: 946684800000,  // 2000-01-01T00:00:00Z
-  MAX_TIMESTAMP_MS: 4102444800000, // 2100-01-01T00:00:00Z
+  // Date string detection: ISO 8601 / RFC 3339 (date and time, optional zone) and RFC 2822
+  DATE_STRING_PATTERNS: {
+    iso: /\b\d{4}-\d{2}-\d{2}[Tt ]\d{2}:\d{2}(?::\d{2}(?:[.,]\d{1,9})?)?(?:[Zz]|[+-]\d{2}:?\d{2})?(?![\d:])/g,
+    rfc2822: /\b(?:(?:Mon|Tue|Wed|Thu|Fri|Sat|Sun), )?\d{1,2} (?:Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec) \d{4} \d{2}:\d{2}(?::\d{2})? (?:GMT|UTC|UT|[+-]\d{4}|[ECMP][SD]T)\b/g
+  },
+  
+  // Valid date window modes (bounds live in settings: rangeStart/rangeEnd or rangeYears)
+  RANGE_MODES: {
+    FIXED: 'fixed',
+    RELATIVE: 'relative'
+  },
   
   // Display modes
   DISPLAY_MODES: {
     TOOLTIP: 'tooltip',
-    INLINE: 'inline'
+    INLINE: 'inline',
+    FLOATING: 'floating'
   },
   
   // Date format presets
@@ -39,7 +52,7 @@ window.EpochLens.Constants = {
     time_only: 'HH:mm:ss'
   },
   
-  // Common timezones
+  // Common timezones (fallback when Intl.supportedValuesOf is unavailable)
   TIMEZONES: [
     { value: 'local', label: 'Local Time' },
     { value: 'UTC', label: 'UTC' },
@@ -64,13 +77,38 @@ window.EpochLens.Constants = {
     displayMode: 'tooltip',
     timezone: 'local',
     showSecondaryTimezone: false,
-    secondaryTimezone: 'UTC',
+    // [{ timezone, label }] in display order; null falls back to the legacy secondaryTimezone
+    secondaryTimezones: null,
+    recentTimezones: [],
     dateFormat: 'locale',
     customFormat: 'YYYY-MM-DD HH:mm:ss',
     showBadgeCount: true,
+    keepHistory: true,
     highlightStyle: 'dotted',
+    showDurations: true,
+    nonInvasiveMode: false,
     autoScan: true,
-    scanDelay: 500
+    scanDelay: 500,
+    rangeMode: 'fixed',
+    rangeStart: '2000-01-01',
+    rangeEnd: '2100-01-01',
+    rangeYears: 10,
+    detectDateStrings: false,
+    scanEditableFields: true,
+    reverseMode: false,
+    reverseUnit: 'seconds',
+    reverseTimezone: 'local',
+    // Zone for dates typed in the popup or selected for the context menu (reverseTimezone is for page dates)
+    inputTimezone: 'local',
+    // Order of slashed numeric dates (5/1/2024): 'auto' follows the browser locale, or 'mdy' / 'dmy'
+    dateOrder: 'auto',
+    heuristicFiltering: true,
+    confidenceThreshold: 0.35,
+    lowConfidenceAction: 'dim',
+    highlightIds: false,
+    snowflakeEpoch: 'discord',
+    siteListMode: 'blocklist',
+    siteRules: []
   },
   
   // Elements to skip when scanning
@@ -82,7 +120,8 @@ window.EpochLens.Constants = {
   // Storage keys
   STORAGE_KEYS: {
     SETTINGS: 'epochlens_settings',
-    STATS: 'epochlens_stats'
+    STATS: 'epochlens_stats',
+    HISTORY: 'epochlens_history'
   },
   
   // Message types for communication between scripts
@@ -92,6 +131,13 @@ window.EpochLens.Constants = {
     GET_PAGE_STATS: 'GET_PAGE_STATS',
     UPDATE_BADGE: 'UPDATE_BADGE',
     CONVERT_SELECTION: 'CONVERT_SELECTION',
-    CONVERSION_RESULT: 'CONVERSION_RESULT'
+    CONVERSION_RESULT: 'CONVERSION_RESULT',
+    SCAN_PROGRESS: 'SCAN_PROGRESS',
+    GET_PAGE_TIMESTAMPS: 'GET_PAGE_TIMESTAMPS',
+    SCROLL_TO_TIMESTAMP: 'SCROLL_TO_TIMESTAMP',
+    HIGHLIGHT_TIMESTAMPS: 'HIGHLIGHT_TIMESTAMPS',
+    ADD_HISTORY: 'ADD_HISTORY',
+    PIN_HISTORY: 'PIN_HISTORY',
+    CLEAR_HISTORY: 'CLEAR_HISTORY'
   }
 };
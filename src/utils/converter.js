@@ -3,51 +3,126 @@
  * Core timestamp conversion and formatting utilities
  */
 
-// Ensure namespace exists
-if (typeof window.EpochLens === 'undefined') {
-  window.EpochLens = {};
-}
+import { Constants } from './constants.js';
+import { DateParser } from './date-parser.js';
+import { Decoders } from './decoders.js';
 
-window.EpochLens.Converter = {
+export const Converter = {
+  // Decoders for IDs with an embedded creation time (built-ins live in decoders.js)
+  _decoders: [],
+  
   /**
    * Check if a value looks like a valid Unix timestamp
    * @param {string|number} value - The value to check
+   * @param {Object} options - Settings holding the valid date window
    * @returns {boolean}
    */
-  isValidTimestamp(value) {
+  isValidTimestamp(value, options = {}) {
     const num = Number(value);
     if (isNaN(num)) return false;
     
     const str = String(value).trim();
-    // Must be exactly 10 or 13 digits
-    if (!/^\d{10}$|^\d{13}$/.test(str)) return false;
+    // Must be exactly 10, 13, 16 or 19 digits
+    if (!this.getUnit(str)) return false;
     
     // Convert to milliseconds if needed
-    const ms = str.length === 10 ? num * 1000 : num;
+    const ms = this.toMilliseconds(str);
     
-    // Check if within reasonable range
-    const { MIN_TIMESTAMP_MS, MAX_TIMESTAMP_MS } = window.EpochLens.Constants;
-    return ms >= MIN_TIMESTAMP_MS && ms <= MAX_TIMESTAMP_MS;
+    // Check if within the configured date window
+    return this.isInRange(ms, options);
+  },
+  
+  /**
+   * Get the valid date window from settings
+   * @param {Object} options - Settings with rangeMode, rangeStart/rangeEnd or rangeYears
+   * @returns {{min: number, max: number}} Inclusive bounds in milliseconds
+   */
+  getValidRange(options = {}) {
+    const defaults = Constants.DEFAULT_SETTINGS;
+    
+    if (options.rangeMode === Constants.RANGE_MODES.RELATIVE) {
+      const years = Number(options.rangeYears) || defaults.rangeYears;
+      const span = years * 365.25 * 24 * 60 * 60 * 1000;
+      const now = Date.now();
+      return { min: now - span, max: now + span };
+    }
+    
+    const min = Date.parse(options.rangeStart || defaults.rangeStart);
+    const max = Date.parse(options.rangeEnd || defaults.rangeEnd);
+    
+    return {
+      min: isNaN(min) ? Date.parse(defaults.rangeStart) : min,
+      max: isNaN(max) ? Date.parse(defaults.rangeEnd) : max
+    };
+  },
+  
+  /**
+   * Check if milliseconds fall inside the valid date window
+   * @param {number} ms - Milliseconds since epoch
+   * @param {Object} options - Settings holding the valid date window
+   * @returns {boolean}
+   */
+  isInRange(ms, options = {}) {
+    const { min, max } = this.getValidRange(options);
+    return ms >= min && ms <= max;
+  },
+  
+  /**
+   * Get the precision unit of a timestamp from its digit count
+   * @param {string|number} timestamp - Unix timestamp
+   * @returns {string|null} 'seconds', 'milliseconds', 'microseconds', 'nanoseconds' or null
+   */
+  getUnit(timestamp) {
+    const str = String(timestamp).trim();
+    if (!/^\d+$/.test(str)) return null;
+    return Constants.TIMESTAMP_UNITS[str.length] || null;
   },
   
   /**
    * Convert timestamp string to milliseconds
-   * @param {string|number} timestamp - 10 or 13 digit timestamp
-   * @returns {number} Milliseconds
+   * @param {string|number} timestamp - 10, 13, 16 or 19 digit timestamp
+   * @returns {number} Whole milliseconds (sub-millisecond digits are truncated)
    */
   toMilliseconds(timestamp) {
     const str = String(timestamp).trim();
+    
+    // 19-digit values exceed Number precision, so slice digits instead of dividing
+    if (str.length === 16 || str.length === 19) {
+      return Number(str.slice(0, 13));
+    }
+    
     const num = Number(str);
     return str.length === 10 ? num * 1000 : num;
   },
   
+  /**
+   * Get the digits below millisecond precision
+   * @param {string|number} timestamp - Unix timestamp
+   * @returns {string} '' for seconds/milliseconds, 3 digits for µs, 6 digits for ns
+   */
+  getSubMillisecond(timestamp) {
+    const str = String(timestamp).trim();
+    return str.length === 16 || str.length === 19 ? str.slice(13) : '';
+  },
+  
+  /**
+   * Format date as UTC ISO string keeping sub-millisecond digits
+   * @param {Date} date - Date to format
+   * @param {string} subMillisecond - Extra fraction digits from getSubMillisecond()
+   * @returns {string} e.g. "2024-05-01T12:03:44.120456Z"
+   */
+  toPreciseISOString(date, subMillisecond = '') {
+    return date.toISOString().replace('Z', `${subMillisecond}Z`);
+  },
+  
   /**
    * Convert timestamp to Date object
    * @param {string|number} timestamp - Unix timestamp
+   * @param {Object} options - Settings holding the valid date window
    * @returns {Date|null}
    */
-  toDate(timestamp) {
-    if (!this.isValidTimestamp(timestamp)) return null;
+  toDate(timestamp, options = {}) {
+    if (!this.isValidTimestamp(timestamp, options)) return null;
     return new Date(this.toMilliseconds(timestamp));
   },
   
@@ -71,12 +146,12 @@ window.EpochLens.Converter = {
   /**
    * Format a date according to settings
    * @param {Date} date - Date to format
-   * @param {Object} options - Formatting options
+   * @param {Object} options - Settings (dateFormat, customFormat, timezone)
    * @returns {string}
    */
   formatDate(date, options = {}) {
     const {
-      format = 'locale',
+      dateFormat = 'locale',
       customFormat = 'YYYY-MM-DD HH:mm:ss',
       timezone = 'local'
     } = options;
@@ -89,7 +164,7 @@ window.EpochLens.Converter = {
       // Handle timezone
       const tzOptions = timezone === 'local' ? {} : { timeZone: timezone };
       
-      switch (format) {
+      switch (dateFormat) {
         case 'iso':
           return this._formatISO(date, timezone);
         
@@ -136,7 +211,7 @@ window.EpochLens.Converter = {
       return date.toISOString();
     } else {
       // For other timezones, use Intl formatter
-      return this._formatCustom(date, 'YYYY-MM-DDTHH:mm:ss', timezone);
+      return this._formatCustom(date, Constants.FORMAT_PATTERNS.iso, timezone);
     }
   },
   
@@ -185,13 +260,49 @@ window.EpochLens.Converter = {
     
     const plural = value !== 1 ? 's' : '';
     
-    if (isPast) {
-      return value === 0 ? 'just now' : `${value} ${unit}${plural} ago`;
+    if (value === 0) {
+      return 'just now';
+    } else if (isPast) {
+      return `${value} ${unit}${plural} ago`;
     } else {
       return `in ${value} ${unit}${plural}`;
     }
   },
   
+  /**
+   * Format an elapsed time compactly, using the two largest non-zero units
+   * @param {number} ms - Duration in milliseconds (negative when the end is earlier)
+   * @returns {string} e.g. "450ms", "12.4s", "3m 12.4s", "2h 5m", "1d 3h", "1h 30s"
+   */
+  formatDuration(ms) {
+    const sign = ms < 0 ? '−' : '';
+    const abs = Math.abs(Math.round(ms));
+    
+    if (abs < 1000) return `${sign}${abs}ms`;
+    
+    const units = [
+      ['d', 86400000],
+      ['h', 3600000],
+      ['m', 60000]
+    ];
+    
+    const parts = [];
+    let rest = abs;
+    
+    units.forEach(([unit, size]) => {
+      const value = Math.floor(rest / size);
+      rest -= value * size;
+      if (value) parts.push(`${value}${unit}`);
+    });
+    
+    // Tenths of a second only matter below an hour
+    const seconds = abs < 3600000 ? Math.floor(rest / 100) / 10 : Math.floor(rest / 1000);
+    if (seconds) parts.push(`${seconds}s`);
+    
+    // Zero units are skipped, so "1h 0m 30s" keeps its seconds
+    return sign + parts.slice(0, 2).join(' ');
+  },
+  
   /**
    * Format date using custom pattern
    * @private
@@ -227,15 +338,12 @@ window.EpochLens.Converter = {
       'z': parts.tzAbbr
     };
     
-    // Replace tokens (longest first to avoid partial matches)
-    let result = pattern;
+    // Replace tokens in a single pass (longest first), so text inserted
+    // for one token (e.g. "December") is never matched by another ("D")
     const sortedTokens = Object.keys(tokens).sort((a, b) => b.length - a.length);
+    const tokenRegex = new RegExp(sortedTokens.join('|'), 'g');
     
-    for (const token of sortedTokens) {
-      result = result.replace(new RegExp(token, 'g'), tokens[token]);
-    }
-    
-    return result;
+    return pattern.replace(tokenRegex, token => tokens[token]);
   },
   
   /**
@@ -353,7 +461,7 @@ window.EpochLens.Converter = {
    * @returns {Object} Conversion result with formatted string and metadata
    */
   convert(timestamp, options = {}) {
-    const date = this.toDate(timestamp);
+    const date = this.toDate(timestamp, options);
     
     if (!date) {
       return {
@@ -364,54 +472,428 @@ window.EpochLens.Converter = {
     }
     
     const ms = this.toMilliseconds(timestamp);
-    const isSeconds = String(timestamp).length === 10;
+    const unit = this.getUnit(timestamp);
+    const subMillisecond = this.getSubMillisecond(timestamp);
     
     const result = {
       success: true,
       original: timestamp,
       milliseconds: ms,
       seconds: Math.floor(ms / 1000),
-      isSeconds,
+      isSeconds: unit === 'seconds',
+      unit,
+      subMillisecond,
       date,
       formatted: this.formatDate(date, options)
     };
     
-    // Add secondary timezone if requested
-    if (options.showSecondaryTimezone && options.secondaryTimezone) {
-      result.secondaryFormatted = this.formatDate(date, {
-        ...options,
-        timezone: options.secondaryTimezone
-      });
+    // Keep µs/ns precision visible instead of silently truncating it
+    if (subMillisecond) {
+      result.isoPrecise = this.toPreciseISOString(date, subMillisecond);
+    }
+    
+    return this._addDisplayFields(result, date, options);
+  },
+  
+  /**
+   * Format an instant that is already in milliseconds, such as an evaluated expression
+   * No parsing or range check, so results outside the valid date window still show.
+   * @param {number} ms - Epoch milliseconds; a fraction is kept as microseconds
+   * @param {Object} options - Formatting options
+   * @param {string} subMillisecond - Extra fraction digits, as from getSubMillisecond()
+   * @returns {Object} Conversion result shaped like convert()
+   */
+  convertMilliseconds(ms, options = {}, subMillisecond = '') {
+    const whole = Math.floor(ms);
+    const date = new Date(whole);
+    
+    if (isNaN(date.getTime())) {
+      return {
+        success: false,
+        error: 'Invalid date',
+        original: ms
+      };
+    }
+    
+    if (!subMillisecond && whole !== ms) {
+      subMillisecond = String(Math.round((ms - whole) * 1000)).padStart(3, '0');
+    }
+    
+    const result = {
+      success: true,
+      original: ms,
+      milliseconds: whole,
+      seconds: Math.floor(whole / 1000),
+      isSeconds: false,
+      unit: null,
+      subMillisecond,
+      date,
+      formatted: this.formatDate(date, options)
+    };
+    
+    if (subMillisecond) {
+      result.isoPrecise = this.toPreciseISOString(date, subMillisecond);
+    }
+    
+    return this._addDisplayFields(result, date, options);
+  },
+  
+  /**
+   * Convert an ISO 8601 / RFC 3339 / RFC 2822 date string
+   * @param {string} value - Date string
+   * @param {Object} options - Formatting options
+   * @param {string} timezone - Zone assumed for ISO strings without an offset (page dates use reverseTimezone)
+   * @returns {Object} Conversion result shaped like convert(), plus assumedTimezone for zone-less strings
+   */
+  convertDateString(value, options = {}, timezone = options.reverseTimezone || 'local') {
+    const parsed = this.parseDateString(value, timezone);
+    
+    if (!parsed || !this.isInRange(parsed.ms, options)) {
+      return {
+        success: false,
+        error: 'Invalid date string',
+        original: value
+      };
+    }
+    
+    const date = new Date(parsed.ms);
+    const result = {
+      success: true,
+      original: value,
+      milliseconds: parsed.ms,
+      seconds: Math.floor(parsed.ms / 1000),
+      isSeconds: false,
+      unit: null,
+      subMillisecond: parsed.subMillisecond,
+      date,
+      formatted: this.formatDate(date, options),
+      assumedTimezone: parsed.hasZone ? null : timezone
+    };
+    
+    if (parsed.subMillisecond) {
+      result.isoPrecise = this.toPreciseISOString(date, parsed.subMillisecond);
+    }
+    
+    return this._addDisplayFields(result, date, options);
+  },
+  
+  /**
+   * Convert typed or selected date text: zoned ISO 8601 / RFC 2822 strings, or human-readable and relative dates
+   * @param {string} value - e.g. "2024-05-01T15:00Z", "01/05/2024", "yesterday 3pm", "next monday 09:00 PST"
+   * @param {Object} options - Formatting options, inputTimezone and dateOrder
+   * @returns {Object} Conversion result shaped like convert()
+   */
+  convertAnyDate(value, options = {}) {
+    // Date.parse accepts almost any text ("version 2.5") and reads it in browser-local time, so only
+    // complete date strings with a zone skip the parser that honors dateOrder and the assumed zone
+    return this.isZonedDateString(value)
+      ? this.convertDateString(value, options)
+      : this.convertHumanDate(value, options, options.inputTimezone || 'local');
+  },
+  
+  /**
+   * Check if a whole text is an ISO 8601 / RFC 2822 date string with a zone or offset
+   * @param {string} value - Date text
+   * @returns {boolean}
+   */
+  isZonedDateString(value) {
+    const text = String(value).trim();
+    const { iso, rfc2822 } = Constants.DATE_STRING_PATTERNS;
+    
+    if (new RegExp(`^(?:${rfc2822.source})$`).test(text)) return true;
+    return new RegExp(`^(?:${iso.source})$`).test(text) && /(?:[Zz]|[+-]\d{2}:?\d{2})$/.test(text);
+  },
+  
+  /**
+   * Convert a human-readable date such as "May 1, 2024 3:00 PM" (reverse mode)
+   * @param {string} value - Date text (see DateParser)
+   * @param {Object} options - Formatting options and dateOrder
+   * @param {string} timezone - Zone assumed for dates without one (page dates use reverseTimezone)
+   * @returns {Object} Conversion result shaped like convert(), plus assumedTimezone for zone-less dates
+   */
+  convertHumanDate(value, options = {}, timezone = options.reverseTimezone || 'local') {
+    const parsed = DateParser.parse(value, { timezone, dateOrder: options.dateOrder });
+    
+    if (!parsed || !this.isInRange(parsed.ms, options)) {
+      return {
+        success: false,
+        error: 'Invalid date',
+        original: value
+      };
+    }
+    
+    const date = new Date(parsed.ms);
+    const result = {
+      success: true,
+      original: value,
+      milliseconds: parsed.ms,
+      seconds: Math.floor(parsed.ms / 1000),
+      isSeconds: false,
+      unit: null,
+      subMillisecond: parsed.subMillisecond,
+      date,
+      formatted: this.formatDate(date, options),
+      assumedTimezone: parsed.hasZone ? null : timezone
+    };
+    
+    if (parsed.subMillisecond) {
+      result.isoPrecise = this.toPreciseISOString(date, parsed.subMillisecond);
+    }
+    
+    return this._addDisplayFields(result, date, options);
+  },
+  
+  /**
+   * Register a decoder for IDs that embed their creation time
+   * A decoder with the same type replaces the existing one.
+   * @param {Object} decoder - { type, name, pattern: RegExp, decode(value, options) }
+   *   where decode returns { ms, subMillisecond?, name?, fields?: [{label, value}] } or null
+   */
+  registerDecoder(decoder) {
+    this._decoders = this._decoders.filter(existing => existing.type !== decoder.type);
+    this._decoders.push(decoder);
+  },
+  
+  /**
+   * Get the registered ID decoders in priority order
+   * @returns {Array}
+   */
+  getDecoders() {
+    return [...this._decoders];
+  },
+  
+  /**
+   * Decode the creation time embedded in an ID
+   * @param {string} value - ID such as a snowflake, ObjectId, ULID, UUID or KSUID
+   * @param {Object} options - Settings holding the valid date window and snowflakeEpoch
+   * @returns {{type: string, name: string, ms: number, subMillisecond: string, fields: Array}|null}
+   */
+  decodeId(value, options = {}) {
+    const str = String(value).trim();
+    
+    for (const decoder of this._decoders) {
+      const exact = new RegExp(`^(?:${decoder.pattern.source})$`, decoder.pattern.flags.replace('g', ''));
+      if (!exact.test(str)) continue;
+      
+      const decoded = decoder.decode(str, options);
+      if (decoded && this.isInRange(decoded.ms, options)) {
+        return {
+          type: decoder.type,
+          name: decoded.name || decoder.name,
+          ms: decoded.ms,
+          subMillisecond: decoded.subMillisecond || '',
+          fields: decoded.fields || []
+        };
+      }
+    }
+    
+    return null;
+  },
+  
+  /**
+   * Convert the creation time embedded in an ID
+   * @param {string} value - ID
+   * @param {Object} options - Formatting options
+   * @returns {Object} Conversion result shaped like convert(), plus idType, idName and idFields
+   */
+  convertId(value, options = {}) {
+    const decoded = this.decodeId(value, options);
+    
+    if (!decoded) {
+      return {
+        success: false,
+        error: 'Invalid ID',
+        original: value
+      };
+    }
+    
+    const date = new Date(decoded.ms);
+    const result = {
+      success: true,
+      original: value,
+      milliseconds: decoded.ms,
+      seconds: Math.floor(decoded.ms / 1000),
+      isSeconds: false,
+      unit: null,
+      subMillisecond: decoded.subMillisecond,
+      date,
+      formatted: this.formatDate(date, options),
+      idType: decoded.type,
+      idName: decoded.name,
+      idFields: decoded.fields
+    };
+    
+    if (decoded.subMillisecond) {
+      result.isoPrecise = this.toPreciseISOString(date, decoded.subMillisecond);
+    }
+    
+    return this._addDisplayFields(result, date, options);
+  },
+  
+  /**
+   * Get the extra timezones to show, in order
+   * Settings saved before the list existed only have a single secondaryTimezone.
+   * @param {Object} options - Settings with showSecondaryTimezone and secondaryTimezones
+   * @returns {Array<{timezone: string, label: string}>}
+   */
+  getSecondaryTimezones(options = {}) {
+    if (!options.showSecondaryTimezone) return [];
+    
+    if (Array.isArray(options.secondaryTimezones)) {
+      return options.secondaryTimezones.filter(entry => entry && entry.timezone);
     }
     
+    return [{ timezone: options.secondaryTimezone || 'UTC', label: '' }];
+  },
+  
+  /**
+   * Add secondary timezones and relative time to a conversion result
+   * @private
+   */
+  _addDisplayFields(result, date, options) {
+    // Same instant in each extra timezone
+    result.secondary = this.getSecondaryTimezones(options).map(({ timezone, label }) => ({
+      timezone,
+      label: label || (timezone === 'local' ? 'Local Time' : timezone.replace(/_/g, ' ')),
+      formatted: this.formatDate(date, { ...options, timezone })
+    }));
+    
     // Add relative time
     result.relative = this._formatRelative(date);
     
     return result;
   },
   
+  /**
+   * Parse an ISO 8601 / RFC 3339 or RFC 2822 date string
+   * @param {string} value - Date string
+   * @param {string} timezone - Zone assumed for ISO strings without an offset
+   * @returns {{ms: number, subMillisecond: string, hasZone: boolean}|null}
+   */
+  parseDateString(value, timezone = 'local') {
+    const str = String(value).trim();
+    let normalized = str;
+    let subMillisecond = '';
+    
+    if (/^\d{4}-\d{2}-\d{2}/.test(str)) {
+      // Normalize ISO variants Date.parse is strict about: space separator,
+      // comma fractions, more than 3 fraction digits, offsets without colon
+      normalized = str
+        .replace(/^(\d{4}-\d{2}-\d{2})[Tt ]/, '$1T')
+        .replace(/[zZ]$/, 'Z')
+        .replace(/([+-]\d{2})(\d{2})$/, '$1:$2')
+        .replace(/[.,](\d+)/, (match, digits) => {
+          subMillisecond = digits.slice(3, 9);
+          return `.${digits.slice(0, 3).padEnd(3, '0')}`;
+        });
+      
+      // Date.parse would read a zone-less wall time in the browser's zone, not the assumed one
+      const wall = normalized.match(/^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{3}))?)?$/);
+      if (wall) {
+        const [year, month, day, hour, minute, second, millisecond] = wall.slice(1).map(part => Number(part || 0));
+        const ms = DateParser.zonedTimeToEpoch({ year, month, day, hour, minute, second, millisecond }, timezone);
+        const check = new Date(Date.UTC(year, month - 1, day, hour, minute, second)).toISOString();
+        
+        // Reject wall times that don't exist ("2024-02-30T10:00") instead of rolling them over
+        if (ms === null || check.slice(0, 19) !== `${normalized.slice(0, 16)}:${wall[6] || '00'}`) return null;
+        return { ms, subMillisecond, hasZone: false };
+      }
+    }
+    
+    const ms = Date.parse(normalized);
+    if (isNaN(ms)) return null;
+    
+    return { ms, subMillisecond, hasZone: true };
+  },
+  
+  /**
+   * Find ISO 8601 / RFC 3339 / RFC 2822 date strings in a text string
+   * @param {string} text - Text to search
+   * @param {Object} options - Settings holding the valid date window and reverseTimezone
+   * @returns {Array} Array of found date strings with positions
+   */
+  findDateStrings(text, options = {}) {
+    const results = [];
+    const patterns = Constants.DATE_STRING_PATTERNS;
+    
+    Object.keys(patterns).forEach((kind) => {
+      const regex = new RegExp(patterns[kind].source, 'g');
+      let match;
+      
+      while ((match = regex.exec(text)) !== null) {
+        const parsed = this.parseDateString(match[0], options.reverseTimezone);
+        if (parsed && this.isInRange(parsed.ms, options)) {
+          results.push({
+            value: match[0],
+            index: match.index,
+            length: match[0].length,
+            kind
+          });
+        }
+      }
+    });
+    
+    return results.sort((a, b) => a.index - b.index);
+  },
+  
   /**
    * Find all timestamps in a text string
    * @param {string} text - Text to search
+   * @param {Object} options - Settings holding the valid date window
    * @returns {Array} Array of found timestamps with positions
    */
-  findTimestamps(text) {
+  findTimestamps(text, options = {}) {
     const results = [];
-    const regex = new RegExp(window.EpochLens.Constants.TIMESTAMP_REGEX.source, 'g');
+    const regex = new RegExp(Constants.TIMESTAMP_REGEX.source, 'g');
     let match;
     
     while ((match = regex.exec(text)) !== null) {
       const timestamp = match[0];
-      if (this.isValidTimestamp(timestamp)) {
+      if (this.isValidTimestamp(timestamp, options)) {
         results.push({
           value: timestamp,
           index: match.index,
           length: timestamp.length,
-          isSeconds: timestamp.length === 10
+          isSeconds: timestamp.length === 10,
+          unit: this.getUnit(timestamp)
         });
       }
     }
     
     return results;
+  },
+  
+  /**
+   * Find IDs with an embedded creation time in a text string
+   * @param {string} text - Text to search
+   * @param {Object} options - Settings holding the valid date window and snowflakeEpoch
+   * @returns {Array} Array of found IDs with positions
+   */
+  findIds(text, options = {}) {
+    const results = [];
+    
+    this._decoders.forEach((decoder) => {
+      const regex = new RegExp(decoder.pattern.source, decoder.pattern.flags.replace('g', '') + 'g');
+      let match;
+      
+      while ((match = regex.exec(text)) !== null) {
+        const decoded = this.decodeId(match[0], options);
+        
+        // Skip values a higher-priority decoder claims
+        if (decoded && decoded.type === decoder.type) {
+          results.push({
+            value: match[0],
+            index: match.index,
+            length: match[0].length,
+            idType: decoded.type
+          });
+        }
+      }
+    });
+    
+    return results.sort((a, b) => a.index - b.index);
   }
 };
+
+// Built-in ID decoders
+Decoders.registerAll(Converter);
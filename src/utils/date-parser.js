@@ -0,0 +1,426 @@
+/**
+ * EpochLens Date Parser
+ * Finds human-readable dates in text and reads them as epoch milliseconds
+ */
+
+import { Timezones } from './timezones.js';
+
+// Shared pattern pieces (all patterns are case-insensitive)
+const MONTH = '(?<monthName>Jan(?:uary)?|Feb(?:ruary)?|Mar(?:ch)?|Apr(?:il)?|May|June?|July?|Aug(?:ust)?|Sep(?:t(?:ember)?)?|Oct(?:ober)?|Nov(?:ember)?|Dec(?:ember)?)\\.?';
+const WEEKDAY = '(?:(?:Mon|Tue|Wed|Thu|Fri|Sat|Sun)[a-z]*\\.?,?\\s+)?';
+const ZONE = '(?:\\s?(?<zone>Z|(?:UTC|GMT|UT)(?:[+-]\\d{1,2}(?::?\\d{2})?)?|[+-]\\d{2}:?\\d{2})\\b)?';
+const TIME = `(?<hour>\\d{1,2}):(?<minute>\\d{2})(?::(?<second>\\d{2})(?:[.,](?<fraction>\\d{1,9}))?)?(?:\\s?(?<ampm>[ap])\\.?m\\.?)?${ZONE}`;
+
+// Days in typed relative phrases: "today", "next monday", "last fri"
+const RELATIVE_DAY = '(?<day>today|tomorrow|yesterday|(?:(?:next|last|this)\\s+)?(?:sunday|monday|tuesday|wednesday|thursday|friday|saturday|sun|mon|tues?|wed|thu(?:rs?)?|fri|sat))';
+
+export const DateParser = {
+  PATTERNS: {
+    // 2024-05-01, 2024-05-01 15:00, 2024-05-01T15:00:00.123+02:00
+    iso: new RegExp(`\\b(?<year>\\d{4})-(?<month>\\d{2})-(?<day>\\d{2})(?:[T ]${TIME})?(?![\\w:])`, 'i'),
+    
+    // May 1, 2024 3:00 PM / Wednesday, May 1st, 2024 at 15:00
+    monthFirst: new RegExp(`\\b${WEEKDAY}${MONTH}\\s+(?<day>\\d{1,2})(?:st|nd|rd|th)?,?\\s+(?<year>\\d{4})(?:,?\\s+(?:at\\s+)?${TIME})?(?![\\w:])`, 'i'),
+    
+    // 1 May 2024 15:00 / Wed, 01 May 2024 12:03:44 GMT
+    dayFirst: new RegExp(`\\b${WEEKDAY}(?<day>\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?${MONTH},?\\s+(?<year>\\d{4})(?:,?\\s+(?:at\\s+)?${TIME})?(?![\\w:])`, 'i'),
+    
+    // 5/1/2024, 3:00:00 PM / 01.05.2024 15:00 / 2024/05/01 (slashed day/month order follows dateOrder or the browser locale)
+    numeric: new RegExp(`(?<![\\w./])(?<first>\\d{1,4})(?<separator>[/.])(?<middle>\\d{1,2})\\k<separator>(?<last>\\d{1,4})(?:,?\\s+${TIME})?(?![\\w:]|[./]\\d)`, 'i')
+  },
+  
+  // Typed relative dates: "yesterday 3pm", "next monday at 09:00", "3pm tomorrow", "in 2 hours", "3 days ago"
+  RELATIVE_PATTERNS: {
+    dayFirst: new RegExp(`^${RELATIVE_DAY}(?:\\s+(?:at\\s+)?(?<clock>.+))?$`, 'i'),
+    clockFirst: new RegExp(`^(?<clock>.+?)\\s+${RELATIVE_DAY}$`, 'i'),
+    clock: /^(?:(?<hour>\d{1,2})(?::(?<minute>\d{2})(?::(?<second>\d{2}))?)?\s?(?<ampm>[ap])\.?m\.?|(?<hour24>\d{1,2}):(?<minute24>\d{2})(?::(?<second24>\d{2}))?|(?<named>noon|midnight))$/i,
+    offset: /^(?:in\s+(?<amountIn>\d+|an?|one)\s+(?<unitIn>[a-z]+)|(?<amountAgo>\d+|an?|one)\s+(?<unitAgo>[a-z]+)\s+ago)$/i
+  },
+  
+  // Units of "in 2 hours" / "3 days ago"; days and longer move the calendar date and keep the wall-clock time
+  RELATIVE_UNITS: {
+    s: 1000, sec: 1000, secs: 1000, second: 1000, seconds: 1000,
+    min: 60000, mins: 60000, minute: 60000, minutes: 60000,
+    h: 3600000, hr: 3600000, hrs: 3600000, hour: 3600000, hours: 3600000,
+    d: 'day', day: 'day', days: 'day',
+    w: 'week', wk: 'week', week: 'week', weeks: 'week',
+    month: 'month', months: 'month',
+    y: 'year', yr: 'year', year: 'year', years: 'year'
+  },
+  
+  // Zone abbreviations as UTC offsets in minutes; ambiguous ones (CST, IST) take their most common reading
+  ZONE_ABBREVIATIONS: {
+    UTC: 0, GMT: 0, UT: 0, Z: 0, WET: 0, WEST: 60, BST: 60, CET: 60, CEST: 120, EET: 120, EEST: 180, MSK: 180,
+    IST: 330, SGT: 480, HKT: 480, AWST: 480, JST: 540, KST: 540, ACST: 570, ACDT: 630, AEST: 600, AEDT: 660,
+    NZST: 720, NZDT: 780, HST: -600, AKST: -540, AKDT: -480, PST: -480, PDT: -420, MST: -420, MDT: -360,
+    CST: -360, CDT: -300, EST: -300, EDT: -240, AST: -240, ADT: -180, NST: -210, NDT: -150
+  },
+  
+  MONTHS: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'],
+  
+  WEEKDAYS: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'],
+  
+  // Whether the browser locale writes numeric dates month first (cached)
+  _monthFirst: null,
+  
+  /**
+   * Quick check whether text may contain a human-readable date
+   * @param {string} text - Text to check
+   * @returns {boolean}
+   */
+  hasCandidate(text) {
+    if (!/\d{4}/.test(text)) return false;
+    return Object.values(this.PATTERNS).some(pattern => pattern.test(text));
+  },
+  
+  /**
+   * Find human-readable dates in text
+   * @param {string} text - Text to search
+   * @param {Object} options - { timezone } assumed for dates without a zone or offset, { dateOrder } of numeric dates
+   * @returns {Array<{value: string, index: number, length: number, ms: number, subMillisecond: string, hasZone: boolean}>}
+   */
+  find(text, options = {}) {
+    const found = [];
+    
+    Object.values(this.PATTERNS).forEach((pattern) => {
+      const regex = new RegExp(pattern.source, `${pattern.flags}g`);
+      let match;
+      
+      while ((match = regex.exec(text)) !== null) {
+        const parsed = this._read(match.groups, options);
+        if (parsed) {
+          found.push({
+            value: match[0],
+            index: match.index,
+            length: match[0].length,
+            ...parsed
+          });
+        }
+      }
+    });
+    
+    // Earliest first, the longest of dates starting at the same place
+    found.sort((a, b) => a.index - b.index || b.length - a.length);
+    
+    let lastEnd = 0;
+    return found.filter((match) => {
+      if (match.index < lastEnd) return false;
+      lastEnd = match.index + match.length;
+      return true;
+    });
+  },
+  
+  /**
+   * Parse a string that is exactly one date, as typed or selected by the user
+   * Besides the formats find() knows, this reads relative phrases ("yesterday 3pm", "next monday 09:00",
+   * "in 2 hours", "3 days ago") and a trailing zone name or abbreviation ("PST", "Europe/Berlin").
+   * @param {string} value - e.g. "May 1, 2024 3:00 PM", "next monday 09:00 PST"
+   * @param {Object} options - { timezone } assumed for dates without a zone, { dateOrder } of numeric dates, { now } for relative phrases
+   * @returns {{ms: number, subMillisecond: string, hasZone: boolean}|null}
+   */
+  parse(value, options = {}) {
+    const { text, zone } = this._splitZone(String(value).trim());
+    const zoned = zone ? { ...options, ...zone } : options;
+    
+    const [match] = this.find(text, zoned);
+    const parsed = match && match.index === 0 && match.length === text.length
+      ? match
+      : this._parseRelative(text, zoned);
+    
+    if (!parsed) return null;
+    
+    const { ms, subMillisecond, hasZone } = parsed;
+    return { ms, subMillisecond, hasZone: hasZone || Boolean(zone) };
+  },
+  
+  /**
+   * Read wall-clock date parts in a timezone as epoch milliseconds
+   * @param {Object} parts - { year, month (1-12), day, hour, minute, second, millisecond }
+   * @param {string} timezone - IANA zone or 'local'
+   * @returns {number|null}
+   */
+  zonedTimeToEpoch(parts, timezone = 'local') {
+    const { year, month, day, hour = 0, minute = 0, second = 0, millisecond = 0 } = parts;
+    const wall = Date.UTC(year, month - 1, day, hour, minute, second, millisecond);
+    
+    const offsetAt = ms => this.parseOffset(Timezones.getOffset(timezone, new Date(ms)));
+    
+    const guess = offsetAt(wall);
+    if (guess === null) return null;
+    
+    // The offset at the real instant can differ from the guess around DST changes
+    const offset = offsetAt(wall - guess * 60000);
+    return wall - offset * 60000;
+  },
+  
+  /**
+   * Parse a UTC offset or zone designator
+   * @param {string} text - e.g. "Z", "UTC", "GMT+2", "+05:30", "-0300"
+   * @returns {number|null} Offset in minutes east of UTC
+   */
+  parseOffset(text) {
+    const str = String(text || '').trim().toUpperCase();
+    if (/^(?:Z|UTC|GMT|UT)$/.test(str)) return 0;
+    
+    const match = str.match(/^(?:UTC|GMT|UT)?([+-])(\d{1,2}):?(\d{2})?$/);
+    if (!match) return null;
+    
+    const [, sign, hours, mins = '0'] = match;
+    const minutes = Number(hours) * 60 + Number(mins);
+    return sign === '-' ? -minutes : minutes;
+  },
+  
+  /**
+   * Split a trailing zone abbreviation or IANA name off typed text
+   * @private
+   */
+  _splitZone(text) {
+    const match = text.match(/^(.*\S)\s+([A-Za-z]+(?:\/[A-Za-z0-9_+-]+)*)$/);
+    if (!match) return { text, zone: null };
+    
+    const [, rest, name] = match;
+    const abbreviation = name.toUpperCase();
+    
+    if (abbreviation in this.ZONE_ABBREVIATIONS) {
+      return { text: rest, zone: { offset: this.ZONE_ABBREVIATIONS[abbreviation] } };
+    }
+    if (name.includes('/') && Timezones.isValid(name)) {
+      return { text: rest, zone: { timezone: name } };
+    }
+    return { text, zone: null };
+  },
+  
+  /**
+   * Read a relative phrase against the current time
+   * @private
+   */
+  _parseRelative(text, options = {}) {
+    const now = options.now ?? Date.now();
+    if (/^now$/i.test(text)) return { ms: now, subMillisecond: '', hasZone: true };
+    
+    const offset = text.match(this.RELATIVE_PATTERNS.offset);
+    if (offset) return this._readOffset(offset.groups, now, options);
+    
+    // A bare clock time means today
+    const { dayFirst, clockFirst } = this.RELATIVE_PATTERNS;
+    const match = text.match(dayFirst) || text.match(clockFirst);
+    const day = match ? match.groups.day : 'today';
+    const clock = match ? match.groups.clock : text;
+    
+    // A day without a time means its midnight
+    const time = clock ? this._readClock(clock) : { hour: 0, minute: 0, second: 0 };
+    const today = this._wallTime(now, options);
+    if (!time || !today) return null;
+    
+    const ms = this._toEpoch({
+      year: today.year,
+      month: today.month,
+      day: today.day + this._dayOffset(day, today.weekday),
+      ...time
+    }, options);
+    
+    return ms === null || isNaN(ms) ? null : { ms, subMillisecond: '', hasZone: false };
+  },
+  
+  /**
+   * Read "in 2 hours" / "3 days ago"
+   * @private
+   */
+  _readOffset(groups, now, options) {
+    const amountText = groups.amountIn || groups.amountAgo;
+    const unit = this.RELATIVE_UNITS[(groups.unitIn || groups.unitAgo).toLowerCase()];
+    if (!unit) return null;
+    
+    const steps = (/^\d+$/.test(amountText) ? Number(amountText) : 1) * (groups.amountIn ? 1 : -1);
+    if (typeof unit === 'number') {
+      return { ms: now + steps * unit, subMillisecond: '', hasZone: true };
+    }
+    
+    const parts = this._wallTime(now, options);
+    if (!parts) return null;
+    
+    if (unit === 'day' || unit === 'week') {
+      parts.day += steps * (unit === 'week' ? 7 : 1);
+    } else {
+      parts.month += unit === 'month' ? steps : 0;
+      parts.year += unit === 'year' ? steps : 0;
+      
+      // Jan 31 + 1 month is the last day of February
+      parts.day = Math.min(parts.day, new Date(Date.UTC(parts.year, parts.month, 0)).getUTCDate());
+    }
+    
+    const ms = this._toEpoch(parts, options);
+    return ms === null || isNaN(ms) ? null : { ms, subMillisecond: '', hasZone: false };
+  },
+  
+  /**
+   * Read a clock time ("3pm", "09:00", "noon") as { hour, minute, second }
+   * @private
+   */
+  _readClock(text) {
+    const groups = text.trim().match(this.RELATIVE_PATTERNS.clock)?.groups;
+    if (!groups) return null;
+    
+    if (groups.named) {
+      return { hour: groups.named.toLowerCase() === 'noon' ? 12 : 0, minute: 0, second: 0 };
+    }
+    
+    let hour = Number(groups.hour ?? groups.hour24);
+    const minute = Number(groups.minute ?? groups.minute24 ?? 0);
+    const second = Number(groups.second ?? groups.second24 ?? 0);
+    
+    if (groups.ampm) {
+      if (hour < 1 || hour > 12) return null;
+      hour = hour % 12 + (groups.ampm.toLowerCase() === 'p' ? 12 : 0);
+    }
+    
+    if (hour > 23 || minute > 59 || second > 59) return null;
+    return { hour, minute, second };
+  },
+  
+  /**
+   * Count days from today to a relative day ("next monday" is never today, "monday" can be)
+   * @private
+   */
+  _dayOffset(day, weekday) {
+    const words = day.toLowerCase().split(/\s+/);
+    const relative = { today: 0, tomorrow: 1, yesterday: -1 };
+    if (words[0] in relative) return relative[words[0]];
+    
+    const target = this.WEEKDAYS.indexOf(words[words.length - 1].slice(0, 3));
+    const ahead = (target - weekday + 7) % 7;
+    
+    if (words[0] === 'next') return ahead || 7;
+    if (words[0] === 'last') return ahead - 7;
+    return ahead;
+  },
+  
+  /**
+   * Get the wall-clock date and time of an instant in the parse zone
+   * @private
+   */
+  _wallTime(ms, options = {}) {
+    const offset = typeof options.offset === 'number'
+      ? options.offset
+      : this.parseOffset(Timezones.getOffset(options.timezone || 'local', new Date(ms)));
+    if (offset === null) return null;
+    
+    const wall = new Date(ms + offset * 60000);
+    return {
+      year: wall.getUTCFullYear(),
+      month: wall.getUTCMonth() + 1,
+      day: wall.getUTCDate(),
+      hour: wall.getUTCHours(),
+      minute: wall.getUTCMinutes(),
+      second: wall.getUTCSeconds(),
+      millisecond: wall.getUTCMilliseconds(),
+      weekday: wall.getUTCDay()
+    };
+  },
+  
+  /**
+   * Read wall-clock parts in the parse zone: a fixed offset from a typed abbreviation, else the timezone
+   * @private
+   */
+  _toEpoch(parts, options = {}) {
+    if (typeof options.offset === 'number') {
+      return this.zonedTimeToEpoch(parts, 'UTC') - options.offset * 60000;
+    }
+    return this.zonedTimeToEpoch(parts, options.timezone || 'local');
+  },
+  
+  /**
+   * Turn matched groups into epoch milliseconds, or null when the date doesn't exist
+   * @private
+   */
+  _read(groups, options = {}) {
+    const date = this._readDate(groups, options.dateOrder);
+    if (!date) return null;
+    
+    let hour = Number(groups.hour || 0);
+    const minute = Number(groups.minute || 0);
+    const second = Number(groups.second || 0);
+    const fraction = groups.fraction || '';
+    
+    if (groups.ampm) {
+      if (hour < 1 || hour > 12) return null;
+      hour = hour % 12 + (groups.ampm.toLowerCase() === 'p' ? 12 : 0);
+    }
+    
+    if (hour > 23 || minute > 59 || second > 59) return null;
+    
+    const parts = {
+      ...date,
+      hour,
+      minute,
+      second,
+      millisecond: Number(fraction.slice(0, 3).padEnd(3, '0'))
+    };
+    
+    let ms;
+    if (groups.zone) {
+      const offset = this.parseOffset(groups.zone);
+      if (offset === null) return null;
+      ms = this.zonedTimeToEpoch(parts, 'UTC') - offset * 60000;
+    } else {
+      ms = this._toEpoch(parts, options);
+    }
+    
+    if (ms === null || isNaN(ms)) return null;
+    
+    return { ms, subMillisecond: fraction.slice(3, 9), hasZone: Boolean(groups.zone) };
+  },
+  
+  /**
+   * Get a valid { year, month, day } from matched groups
+   * @private
+   */
+  _readDate(groups, dateOrder = 'auto') {
+    let year;
+    let month;
+    let day;
+    
+    if (groups.first) {
+      // Numeric dates need a 4-digit year at either end; slashed ones follow dateOrder, dotted ones are always day first
+      const { first, middle, last, separator } = groups;
+      const monthFirst = separator === '/' && (dateOrder === 'auto' ? this._isMonthFirst() : dateOrder === 'mdy');
+      
+      if (first.length === 4) {
+        [year, month, day] = [first, middle, last];
+      } else if (last.length === 4) {
+        [year, month, day] = monthFirst ? [last, first, middle] : [last, middle, first];
+      } else {
+        return null;
+      }
+    } else {
+      year = groups.year;
+      day = groups.day;
+      month = groups.monthName
+        ? this.MONTHS.indexOf(groups.monthName.slice(0, 3).toLowerCase()) + 1
+        : groups.month;
+    }
+    
+    year = Number(year);
+    month = Number(month);
+    day = Number(day);
+    
+    if (month < 1 || month > 12 || day < 1) return null;
+    if (day > new Date(Date.UTC(year, month, 0)).getUTCDate()) return null;
+    
+    return { year, month, day };
+  },
+  
+  /**
+   * Check if the browser locale writes numeric dates month first (5/1/2024)
+   * @private
+   */
+  _isMonthFirst() {
+    if (this._monthFirst === null) {
+      const types = new Intl.DateTimeFormat(undefined, { year: 'numeric', month: '2-digit', day: '2-digit' })
+        .formatToParts(new Date(2024, 10, 22))
+        .map(part => part.type);
+      this._monthFirst = types.indexOf('month') < types.indexOf('day');
+    }
+    return this._monthFirst;
+  }
+};
@@ -0,0 +1,183 @@
+/**
+ * EpochLens ID Decoders
+ * Built-in decoders for IDs that embed their creation time
+ */
+
+export const Decoders = {
+  // Snowflake variants: custom epoch (ms) and the meaning of the 3 low fields
+  SNOWFLAKE_FLAVORS: {
+    discord: {
+      name: 'Discord snowflake',
+      epoch: 1420070400000,
+      fields: ['Worker ID', 'Process ID', 'Increment']
+    },
+    twitter: {
+      name: 'Twitter snowflake',
+      epoch: 1288834974657,
+      fields: ['Datacenter ID', 'Worker ID', 'Sequence']
+    }
+  },
+  
+  // Milliseconds between the UUID v1/v6 epoch (1582-10-15) and the Unix epoch
+  GREGORIAN_OFFSET_MS: 12219292800000,
+  
+  // KSUID timestamps count seconds from 2014-05-13T16:53:20Z
+  KSUID_EPOCH_SECONDS: 1400000000,
+  
+  CROCKFORD_ALPHABET: '0123456789ABCDEFGHJKMNPQRSTVWXYZ',
+  BASE62_ALPHABET: '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz',
+  
+  /**
+   * Register the built-in decoders with the converter, most specific first
+   * @param {Object} converter - Converter to register with
+   */
+  registerAll(converter) {
+    converter.registerDecoder({
+      type: 'uuid',
+      name: 'UUID',
+      pattern: /\b[0-9a-f]{8}-[0-9a-f]{4}-[167][0-9a-f]{3}-[0-9a-f]{4}-[0-9a-f]{12}\b/i,
+      decode: value => this.decodeUuid(value)
+    });
+    
+    converter.registerDecoder({
+      type: 'objectid',
+      name: 'MongoDB ObjectId',
+      pattern: /\b[0-9a-f]{24}\b/i,
+      decode: value => this.decodeObjectId(value)
+    });
+    
+    converter.registerDecoder({
+      type: 'ulid',
+      name: 'ULID',
+      pattern: /\b[0-7][0-9A-HJKMNP-TV-Z]{25}\b/i,
+      decode: value => this.decodeUlid(value)
+    });
+    
+    converter.registerDecoder({
+      type: 'ksuid',
+      name: 'KSUID',
+      // Require a digit so long words and identifiers are not mistaken for KSUIDs
+      pattern: /\b(?=[A-Za-z]*\d)[0-9A-Za-z]{27}\b/,
+      decode: value => this.decodeKsuid(value)
+    });
+    
+    converter.registerDecoder({
+      type: 'snowflake',
+      name: 'Snowflake',
+      pattern: /\b\d{17,20}\b/,
+      decode: (value, options) => this.decodeSnowflake(value, options)
+    });
+  },
+  
+  /**
+   * Decode a Discord or Twitter snowflake
+   * @param {string} value - 17-20 digit decimal ID
+   * @param {Object} options - Settings holding snowflakeEpoch ('discord' or 'twitter')
+   */
+  decodeSnowflake(value, options = {}) {
+    const flavor = this.SNOWFLAKE_FLAVORS[options.snowflakeEpoch] || this.SNOWFLAKE_FLAVORS.discord;
+    const id = BigInt(value);
+    if (id >= 1n << 64n) return null;
+    
+    const [high, low, sequence] = flavor.fields;
+    
+    return {
+      ms: Number(id >> 22n) + flavor.epoch,
+      name: flavor.name,
+      fields: [
+        { label: high, value: String((id >> 17n) & 0x1fn) },
+        { label: low, value: String((id >> 12n) & 0x1fn) },
+        { label: sequence, value: String(id & 0xfffn) }
+      ]
+    };
+  },
+  
+  /**
+   * Decode a MongoDB ObjectId (4-byte seconds, 5-byte random, 3-byte counter)
+   * @param {string} value - 24 hex characters
+   */
+  decodeObjectId(value) {
+    const hex = value.toLowerCase();
+    
+    return {
+      ms: parseInt(hex.slice(0, 8), 16) * 1000,
+      fields: [
+        { label: 'Random', value: hex.slice(8, 18) },
+        { label: 'Counter', value: String(parseInt(hex.slice(18), 16)) }
+      ]
+    };
+  },
+  
+  /**
+   * Decode a ULID (48-bit ms timestamp + 80 bits of randomness, Crockford base32)
+   * @param {string} value - 26 characters
+   */
+  decodeUlid(value) {
+    const chars = value.toUpperCase();
+    let ms = 0;
+    
+    for (const char of chars.slice(0, 10)) {
+      ms = ms * 32 + this.CROCKFORD_ALPHABET.indexOf(char);
+    }
+    
+    return {
+      ms,
+      fields: [{ label: 'Randomness', value: chars.slice(10) }]
+    };
+  },
+  
+  /**
+   * Decode a time-based UUID (v1, v6 or v7)
+   * @param {string} value - Hyphenated UUID
+   */
+  decodeUuid(value) {
+    const hex = value.replace(/-/g, '').toLowerCase();
+    const version = parseInt(hex[12], 16);
+    
+    // v7: 48-bit Unix ms timestamp up front
+    if (version === 7) {
+      return {
+        ms: parseInt(hex.slice(0, 12), 16),
+        name: 'UUID v7',
+        fields: [{ label: 'Random', value: hex.slice(13) }]
+      };
+    }
+    
+    // v1 stores the 60-bit timestamp low field first, v6 high field first
+    const ticks = version === 1
+      ? BigInt(`0x${hex.slice(13, 16)}${hex.slice(8, 12)}${hex.slice(0, 8)}`)
+      : BigInt(`0x${hex.slice(0, 12)}${hex.slice(13, 16)}`);
+    
+    // Ticks are 100-nanosecond intervals, so keep 4 digits below the millisecond
+    return {
+      ms: Number(ticks / 10000n) - this.GREGORIAN_OFFSET_MS,
+      subMillisecond: String(ticks % 10000n).padStart(4, '0'),
+      name: `UUID v${version}`,
+      fields: [
+        { label: 'Clock sequence', value: String(parseInt(hex.slice(16, 20), 16) & 0x3fff) },
+        { label: 'Node', value: hex.slice(20).match(/../g).join(':') }
+      ]
+    };
+  },
+  
+  /**
+   * Decode a KSUID (4-byte seconds since the KSUID epoch + 16-byte payload, base62)
+   * @param {string} value - 27 base62 characters
+   */
+  decodeKsuid(value) {
+    let id = 0n;
+    for (const char of value) {
+      id = id * 62n + BigInt(this.BASE62_ALPHABET.indexOf(char));
+    }
+    
+    // Larger than 20 bytes: not a KSUID
+    if (id >> 160n) return null;
+    
+    const seconds = Number(id >> 128n);
+    
+    return {
+      ms: (seconds + this.KSUID_EPOCH_SECONDS) * 1000,
+      fields: [{ label: 'Payload', value: (id & ((1n << 128n) - 1n)).toString(16).padStart(32, '0') }]
+    };
+  }
+};
@@ -0,0 +1,157 @@
+/**
+ * EpochLens Exporter
+ * Turns the timestamps found on a page into CSV or JSON downloads
+ */
+
+import { Timezones } from './timezones.js';
+
+export const Exporter = {
+  // Export columns and the page timestamp field each is read from
+  COLUMNS: [
+    { key: 'value', label: 'Value' },
+    { key: 'type', label: 'Type' },
+    { key: 'iso', label: 'ISO 8601 (UTC)' },
+    { key: 'formatted', label: 'Formatted' },
+    { key: 'timezone', label: 'Timezone' },
+    { key: 'relative', label: 'Relative' },
+    { key: 'context', label: 'Context' }
+  ],
+  
+  FORMATS: {
+    csv: { mime: 'text/csv', extension: 'csv' },
+    json: { mime: 'application/json', extension: 'json' }
+  },
+  
+  /**
+   * Sort page timestamps oldest first, unconvertible ones last and ties in page order
+   * @param {Array} timestamps - Timestamps from GET_PAGE_TIMESTAMPS
+   * @returns {Array} New sorted array
+   */
+  sortChronologically(timestamps) {
+    return [...timestamps].sort((a, b) => {
+      if (a.ms === null || b.ms === null) return (a.ms === null) - (b.ms === null);
+      return a.ms - b.ms || a.top - b.top;
+    });
+  },
+  
+  /**
+   * Pick the exported fields of each timestamp
+   * @param {Array} timestamps - Timestamps from GET_PAGE_TIMESTAMPS with details
+   * @param {string} timezone - Zone the formatted column is in
+   * @returns {Array<Object>} One object per row, keyed by column
+   */
+  toRows(timestamps, timezone) {
+    const zone = Timezones.getLabel(timezone);
+    
+    return this.sortChronologically(timestamps).map(entry => ({
+      value: entry.value,
+      type: entry.type,
+      iso: entry.iso || '',
+      formatted: entry.formatted,
+      timezone: entry.ms === null ? '' : zone,
+      relative: entry.relative,
+      context: entry.context || ''
+    }));
+  },
+  
+  /**
+   * Build a CSV document (RFC 4180 quoting)
+   * @param {Array<Object>} rows - Rows from toRows
+   * @param {Array<{key: string, label: string}>} columns - Columns to write
+   * @returns {string}
+   */
+  toCsv(rows, columns = this.COLUMNS) {
+    const quote = (value) => {
+      const text = String(value ?? '');
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    
+    const lines = [columns.map(column => quote(column.label)).join(',')];
+    rows.forEach((row) => {
+      lines.push(columns.map(column => quote(row[column.key])).join(','));
+    });
+    
+    return `${lines.join('\r\n')}\r\n`;
+  },
+  
+  /**
+   * Build a JSON document with the page it came from
+   * @param {Array<Object>} rows - Rows from toRows
+   * @param {string} url - Page URL
+   * @returns {string}
+   */
+  toJson(rows, url) {
+    return JSON.stringify({
+      url,
+      exportedAt: new Date().toISOString(),
+      count: rows.length,
+      timestamps: rows
+    }, null, 2);
+  },
+  
+  /**
+   * Name an export after the page's host and the current time
+   * @param {string} url - Page URL
+   * @param {string} format - 'csv' or 'json'
+   * @returns {string} e.g. "epochlens-example.com-20240501-150000.csv"
+   */
+  getFilename(url, format) {
+    let host = 'page';
+    try {
+      host = new URL(url).hostname || host;
+    } catch {
+      // Keep the generic name
+    }
+    
+    return this.getStampedFilename(host, format);
+  },
+  
+  /**
+   * Name an export after what it holds and the current time
+   * @param {string} name - e.g. a host or "history"
+   * @param {string} format - 'csv' or 'json'
+   * @returns {string} e.g. "epochlens-history-20240501-150000.csv"
+   */
+  getStampedFilename(name, format) {
+    const stamp = new Date().toISOString().slice(0, 19).replace(/[-:]/g, '').replace('T', '-');
+    return `epochlens-${name}-${stamp}.${this.FORMATS[format].extension}`;
+  },
+  
+  /**
+   * Download a page's timestamps
+   * @param {Array} timestamps - Timestamps from GET_PAGE_TIMESTAMPS with details
+   * @param {string} format - 'csv' or 'json'
+   * @param {Object} options - { url, timezone } of the page
+   * @returns {Promise<number>} Download ID
+   */
+  download(timestamps, format, { url, timezone }) {
+    const rows = this.toRows(timestamps, timezone);
+    const text = format === 'json' ? this.toJson(rows, url) : this.toCsv(rows);
+    
+    return this.saveFile(text, format, this.getFilename(url, format));
+  },
+  
+  /**
+   * Download a document built by this module
+   * @param {string} text - File contents
+   * @param {string} format - 'csv' or 'json'
+   * @param {string} filename - Suggested file name
+   * @returns {Promise<number>} Download ID
+   */
+  async saveFile(text, format, filename) {
+    const { mime } = this.FORMATS[format];
+    
+    // Service workers have no object URLs
+    if (typeof URL.createObjectURL !== 'function') {
+      return chrome.downloads.download({ url: `data:${mime};charset=utf-8,${encodeURIComponent(text)}`, filename });
+    }
+    
+    // The download has read the blob once it starts, so its URL can go
+    const href = URL.createObjectURL(new Blob([text], { type: mime }));
+    try {
+      return await chrome.downloads.download({ url: href, filename });
+    } finally {
+      URL.revokeObjectURL(href);
+    }
+  }
+};
@@ -0,0 +1,156 @@
+/**
+ * EpochLens Expressions
+ * Evaluates date arithmetic such as "now - 7d" or "1714560000 + 90m"
+ */
+
+import { Converter } from './converter.js';
+
+// Binary operators need spaces around them, so dates and offsets like "2024-05-01" or "+02:00" stay whole
+const OPERATOR = /\s+([+-])\s+/;
+
+export const Expressions = {
+  // Duration units in milliseconds
+  UNITS: {
+    ms: 1,
+    s: 1000,
+    m: 60000,
+    h: 3600000,
+    d: 86400000,
+    w: 604800000
+  },
+  
+  DURATION_REGEX: /^(?:\d+(?:\.\d+)?(?:ms|s|m|h|d|w))+$/i,
+  
+  /**
+   * Check if an input is an expression rather than a single value
+   * @param {string} value - Converter input
+   * @returns {boolean}
+   */
+  isExpression(value) {
+    const input = this._normalize(value);
+    return /^now$/i.test(input) || OPERATOR.test(input);
+  },
+  
+  /**
+   * Evaluate an expression left to right
+   * Instants (now, epoch timestamps, dates) and durations (90m, 1h30m, bare seconds) combine as:
+   * instant ± duration = instant, instant - instant = duration, duration ± duration = duration.
+   * @param {string} value - e.g. "now - 7d", "2024-05-01T00:00Z + 1w", "1714560000 - 1714473600"
+   * @param {Object} options - Settings holding the valid date window, inputTimezone and dateOrder
+   * @returns {Object} { success, type: 'instant'|'duration', ms, subMillisecond? } or { success: false, error }
+   */
+  evaluate(value, options = {}) {
+    const tokens = this._normalize(value).split(OPERATOR);
+    let current = this._readOperand(tokens[0], options);
+    
+    for (let i = 1; i < tokens.length && current.success; i += 2) {
+      const operator = tokens[i];
+      const operand = this._readOperand(tokens[i + 1], options);
+      if (!operand.success) return operand;
+      
+      current = this._combine(current, operator, operand);
+    }
+    
+    if (current.success && current.type === 'instant' && !Converter.isInRange(current.ms, options)) {
+      return { success: false, error: 'Result is outside the valid date range' };
+    }
+    return current;
+  },
+  
+  /**
+   * Format a duration as ISO 8601 (e.g. "P1DT2H30M", "-PT1M30S")
+   * @param {number} ms - Duration in milliseconds
+   * @returns {string}
+   */
+  toIsoDuration(ms) {
+    const sign = ms < 0 ? '-' : '';
+    let rest = Math.abs(Math.round(ms));
+    
+    const days = Math.floor(rest / this.UNITS.d);
+    rest -= days * this.UNITS.d;
+    const hours = Math.floor(rest / this.UNITS.h);
+    rest -= hours * this.UNITS.h;
+    const minutes = Math.floor(rest / this.UNITS.m);
+    rest -= minutes * this.UNITS.m;
+    const seconds = rest / 1000;
+    
+    const time = [[hours, 'H'], [minutes, 'M'], [seconds, 'S']]
+      .filter(([amount]) => amount)
+      .map(([amount, unit]) => `${amount}${unit}`)
+      .join('');
+    
+    if (!days && !time) return 'PT0S';
+    return `${sign}P${days ? `${days}D` : ''}${time ? `T${time}` : ''}`;
+  },
+  
+  /**
+   * Let "now" take operators without spaces ("now-7d")
+   * @private
+   */
+  _normalize(value) {
+    return value.trim().replace(/^now\s*([+-])\s*/i, 'now $1 ');
+  },
+  
+  /**
+   * Read one operand as an instant or a duration
+   * @private
+   */
+  _readOperand(token, options) {
+    const text = (token || '').trim();
+    if (!text) return { success: false, error: 'Missing value after operator' };
+    
+    if (/^now$/i.test(text)) {
+      return { success: true, type: 'instant', ms: Date.now() };
+    }
+    
+    if (this.DURATION_REGEX.test(text)) {
+      let ms = 0;
+      text.replace(/(\d+(?:\.\d+)?)(ms|s|m|h|d|w)/gi, (_, amount, unit) => {
+        ms += Number(amount) * this.UNITS[unit.toLowerCase()];
+      });
+      return { success: true, type: 'duration', ms };
+    }
+    
+    if (Converter.isValidTimestamp(text, options)) {
+      return {
+        success: true,
+        type: 'instant',
+        ms: Converter.toMilliseconds(text),
+        subMillisecond: Converter.getSubMillisecond(text)
+      };
+    }
+    
+    // Other bare numbers are seconds ("+ 3600")
+    if (/^\d+$/.test(text)) {
+      return { success: true, type: 'duration', ms: Number(text) * 1000 };
+    }
+    
+    const date = Converter.convertAnyDate(text, options);
+    if (date.success) {
+      return { success: true, type: 'instant', ms: date.milliseconds, subMillisecond: date.subMillisecond };
+    }
+    
+    return { success: false, error: `Unrecognized value "${text}"` };
+  },
+  
+  /**
+   * Apply one operator
+   * @private
+   */
+  _combine(left, operator, right) {
+    const sign = operator === '-' ? -1 : 1;
+    
+    if (right.type === 'duration') {
+      return { ...left, ms: left.ms + sign * right.ms };
+    }
+    
+    if (left.type === 'instant' && operator === '-') {
+      return { success: true, type: 'duration', ms: left.ms - right.ms };
+    }
+    
+    return {
+      success: false,
+      error: left.type === 'instant' ? 'Two dates can only be subtracted' : 'Put the date first (date ± duration)'
+    };
+  }
+};
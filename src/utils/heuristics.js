@@ -0,0 +1,123 @@
+/**
+ * EpochLens Heuristics
+ * Confidence scoring to filter out IDs, phone numbers and other false positives
+ */
+
+import { Converter } from './converter.js';
+
+export const Heuristics = {
+  // Score every match starts from before context is considered
+  BASE_SCORE: 0.5,
+  
+  // How much surrounding text is inspected on each side
+  CONTEXT_BEFORE: 48,
+  CONTEXT_AFTER: 32,
+  
+  // JSON/query keys that hold times: "created_at": 1701792000, ts=1701792000, exp: 1701792000
+  TIME_KEY_PATTERN: /(?:^|[^a-z0-9_])(?:[a-z0-9_]*(?:_at|At|_ts|_time|Time|_date|Date)|created|updated|modified|deleted|expires?|expiry|exp|iat|nbf|auth_time|ts|time|timestamp|date|datetime|when|since|until|start|end)["']?\s*[:=]\s*["']?$/i,
+  
+  // Keys that hold identifiers: "id": 1701792000, order_no=1701792000
+  ID_KEY_PATTERN: /(?:^|[^a-z0-9_])(?:[a-z0-9_]*(?:_id|Id|ID|_no|_num|_number)|id|uuid|phone|tel|mobile|fax|order|invoice|account|sku|zip|isbn|serial|number|num|ref|ticket|code|pin)["']?\s*[:=]\s*["']?$/,
+  
+  // Words right before the number that suggest a time
+  TIME_WORD_PATTERN: /\b(?:at|on|since|until|created|updated|modified|expires?|expired|timestamp|epoch|time|date|logged|seen|started|ended)\W{0,3}$/i,
+  
+  // Words or symbols right before the number that suggest an identifier
+  ID_WORD_PATTERN: /(?:#|\b(?:id|no\.?|nr\.?|number|phone|tel|call|fax|mobile|order|invoice|account|acct|ref|ticket|sku|isbn|serial|tracking|case)\W{0,3})$/i,
+  
+  // Phone prefixes: +1 1701792000, (555) 1701792000, tel:1701792000
+  PHONE_PREFIX_PATTERN: /(?:\+\d{1,3}|\(\d{1,4}\)|tel:)[\s.-]?$/i,
+  
+  /**
+   * Score how likely a numeric match is a real timestamp
+   * @param {string} text - Text containing the match (may include surrounding context)
+   * @param {Object} match - Match from Converter.findTimestamps ({ value, index })
+   * @returns {{score: number, reasons: string[]}} Score between 0 and 1
+   */
+  score(text, match) {
+    const { value, index } = match;
+    const end = index + value.length;
+    const before = text.slice(Math.max(0, index - this.CONTEXT_BEFORE), index);
+    const after = text.slice(end, end + this.CONTEXT_AFTER);
+    
+    let score = this.BASE_SCORE;
+    const reasons = [];
+    
+    const adjust = (delta, reason) => {
+      score += delta;
+      reasons.push(reason);
+    };
+    
+    // JSON keys and query parameters are the strongest signal either way
+    if (this.TIME_KEY_PATTERN.test(before)) {
+      adjust(0.4, 'time-like key');
+    } else if (this.ID_KEY_PATTERN.test(before)) {
+      adjust(-0.4, 'ID-like key');
+    } else if (this.TIME_WORD_PATTERN.test(before)) {
+      adjust(0.2, 'time-like word');
+    } else if (this.ID_WORD_PATTERN.test(before)) {
+      adjust(-0.4, 'ID-like word');
+    }
+    
+    if (this.PHONE_PREFIX_PATTERN.test(before)) {
+      adjust(-0.4, 'phone number prefix');
+    }
+    
+    // Part of a longer digit run: 555-1701792000, 1701792000-01, 3.1701792000
+    if (/\d[.\-/]$/.test(before) || /^[-/]\d/.test(after)) {
+      adjust(-0.3, 'part of a longer number');
+    }
+    
+    // Thousands grouping: 12,1701792000 or 1701792000,123 (but not CSV lists of timestamps)
+    if (/(?:^|\D)\d{1,3},$/.test(before) || /^,\d{3}(?!\d)/.test(after)) {
+      adjust(-0.4, 'digit grouping');
+    }
+    
+    // Inside a URL or path: /orders/1701792000, ?page=1701792000
+    const token = before.match(/\S*$/)[0];
+    if (/:\/\/|^www\.|[/?&]/.test(token)) {
+      adjust(-0.5, 'inside URL');
+    }
+    
+    // Repeated or sequential digits: 1111111111, 1234567890
+    if (/^(\d)\1+$/.test(value) || '01234567890123456789'.includes(value)) {
+      adjust(-0.4, 'digit pattern');
+    }
+    
+    // Values close to now are more likely to be real timestamps
+    const ms = Converter.toMilliseconds(value);
+    if (Math.abs(Date.now() - ms) < 2 * 365 * 24 * 60 * 60 * 1000) {
+      adjust(0.1, 'close to now');
+    }
+    
+    return {
+      score: Math.round(Math.min(1, Math.max(0, score)) * 100) / 100,
+      reasons
+    };
+  },
+  
+  /**
+   * Score matches and apply the confidence threshold
+   * @param {string} text - Text the match indexes refer to
+   * @param {Array} matches - Matches from Converter.findTimestamps
+   * @param {Object} options - Settings (heuristicFiltering, confidenceThreshold, lowConfidenceAction)
+   * @returns {Array} Matches with confidence, lowConfidence and reasons; hidden ones removed
+   */
+  filter(text, matches, options = {}) {
+    if (!options.heuristicFiltering) return matches;
+    
+    const threshold = Number(options.confidenceThreshold) || 0;
+    
+    return matches
+      .map((match) => {
+        const { score, reasons } = this.score(text, match);
+        return {
+          ...match,
+          confidence: score,
+          lowConfidence: score < threshold,
+          reasons
+        };
+      })
+      .filter(match => !match.lowConfidence || options.lowConfidenceAction !== 'hide');
+  }
+};
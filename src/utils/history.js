@@ -0,0 +1,160 @@
+/**
+ * EpochLens History
+ * Conversions made in the popup, from the context menu and by double-click copies, kept in local storage
+ * Changes are read-modify-write, so they are queued here and only the service worker makes them:
+ * the popup and content scripts send ADD_HISTORY, PIN_HISTORY and CLEAR_HISTORY messages instead.
+ */
+
+import { Constants } from './constants.js';
+
+export const ConversionHistory = {
+  // Most unpinned entries kept; pinned ones are never dropped
+  LIMIT: 200,
+  
+  SOURCES: {
+    popup: 'Popup',
+    'context-menu': 'Context menu',
+    page: 'Page'
+  },
+  
+  // Export columns and the entry field each is read from
+  COLUMNS: [
+    { key: 'convertedAt', label: 'Converted At' },
+    { key: 'source', label: 'Source' },
+    { key: 'input', label: 'Input' },
+    { key: 'output', label: 'Output' },
+    { key: 'type', label: 'Type' },
+    { key: 'url', label: 'Page' },
+    { key: 'pinned', label: 'Pinned' }
+  ],
+  
+  // Last queued change; each one starts once the previous has been saved
+  _pending: Promise.resolve(),
+  
+  /**
+   * Get every entry, newest first
+   * @returns {Promise<Array<Object>>} Entries: { id, input, output, type, source, url, convertedAt, pinned }
+   */
+  async getAll() {
+    return new Promise((resolve) => {
+      const key = Constants.STORAGE_KEYS.HISTORY;
+      
+      if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.local) {
+        chrome.storage.local.get(key, (result) => {
+          resolve(result[key] || []);
+        });
+      } else {
+        try {
+          const stored = localStorage.getItem(key);
+          resolve(stored ? JSON.parse(stored) : []);
+        } catch {
+          resolve([]);
+        }
+      }
+    });
+  },
+  
+  /**
+   * Record a conversion; converting the same value to the same result again moves it to the top
+   * @param {Object} entry - { input, output, type, source ('popup', 'context-menu' or 'page'), url }
+   * @returns {Promise<Object>} The stored entry
+   */
+  async add(entry) {
+    let added = null;
+    
+    await this._update((entries) => {
+      const existing = entries.find(item => item.input === entry.input && item.output === entry.output);
+      
+      added = {
+        id: existing?.id || `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+        ...entry,
+        url: entry.url || '',
+        convertedAt: Date.now(),
+        pinned: existing?.pinned || false
+      };
+      
+      return [added, ...entries.filter(item => item !== existing)];
+    });
+    
+    return added;
+  },
+  
+  /**
+   * Pin or unpin an entry (pinned entries survive the size limit and clearing)
+   * @param {string} id - Entry ID
+   * @param {boolean} pinned - New state
+   * @returns {Promise<Array<Object>>} Updated entries
+   */
+  async setPinned(id, pinned) {
+    return this._update(entries => entries.map(item => (item.id === id ? { ...item, pinned } : item)));
+  },
+  
+  /**
+   * Remove every unpinned entry
+   * @returns {Promise<Array<Object>>} The pinned entries that remain
+   */
+  async clear() {
+    return this._update(entries => entries.filter(item => item.pinned));
+  },
+  
+  /**
+   * Filter entries by input, output, type or page
+   * @param {Array<Object>} entries - Entries from getAll
+   * @param {string} query - Search text
+   * @returns {Array<Object>}
+   */
+  search(entries, query) {
+    const normalized = query.trim().toLowerCase();
+    if (!normalized) return entries;
+    
+    return entries.filter(item => [item.input, item.output, item.type, item.url]
+      .some(text => String(text || '').toLowerCase().includes(normalized)));
+  },
+  
+  /**
+   * Pick the exported fields of each entry
+   * @param {Array<Object>} entries - Entries from getAll
+   * @returns {Array<Object>} One object per row, keyed by column
+   */
+  toRows(entries) {
+    return entries.map(item => ({
+      ...item,
+      convertedAt: new Date(item.convertedAt).toISOString(),
+      source: this.SOURCES[item.source] || item.source,
+      pinned: item.pinned ? 'yes' : ''
+    }));
+  },
+  
+  /**
+   * Queue a change to the stored entries behind the ones already pending
+   * @private
+   */
+  _update(change) {
+    const update = this._pending.then(async () => this._save(change(await this.getAll())));
+    
+    // A failed change must not block the ones after it
+    this._pending = update.catch(() => {});
+    return update;
+  },
+  
+  /**
+   * Store entries, dropping the oldest unpinned ones past the limit
+   * @private
+   */
+  async _save(entries) {
+    const key = Constants.STORAGE_KEYS.HISTORY;
+    let unpinned = 0;
+    const kept = entries.filter(item => item.pinned || ++unpinned <= this.LIMIT);
+    
+    return new Promise((resolve) => {
+      if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.local) {
+        chrome.storage.local.set({ [key]: kept }, () => resolve(kept));
+      } else {
+        try {
+          localStorage.setItem(key, JSON.stringify(kept));
+        } catch {}
+        resolve(kept);
+      }
+    });
+  }
+};
@@ -0,0 +1,59 @@
+/**
+ * EpochLens Periods
+ * Start and end of the hour, day, ISO week, month and year around an instant, in a timezone
+ */
+
+import { DateParser } from './date-parser.js';
+import { Timezones } from './timezones.js';
+
+const HOUR = 3600000;
+
+export const Periods = {
+  PERIODS: [
+    { key: 'hour', label: 'Hour' },
+    { key: 'day', label: 'Day' },
+    { key: 'week', label: 'ISO week' },
+    { key: 'month', label: 'Month' },
+    { key: 'year', label: 'Year' }
+  ],
+  
+  /**
+   * Get the boundaries of every period containing an instant
+   * Days and longer start at local midnight, so their length follows DST changes.
+   * @param {number} ms - Epoch milliseconds
+   * @param {string} timezone - IANA zone or 'local'
+   * @returns {Array<{key: string, label: string, start: number, end: number}>} end is the period's last millisecond
+   */
+  getBoundaries(ms, timezone = 'local') {
+    const offset = DateParser.parseOffset(Timezones.getOffset(timezone, new Date(ms)));
+    if (offset === null) return [];
+    
+    // Wall-clock fields in the zone, read from a shifted UTC date
+    const wall = new Date(ms + offset * 60000);
+    const year = wall.getUTCFullYear();
+    const month = wall.getUTCMonth() + 1;
+    const day = wall.getUTCDate();
+    const monday = day - ((wall.getUTCDay() + 6) % 7);
+    
+    // Out-of-range days and months roll over (day 32, month 13), like Date.UTC
+    const midnight = (y, m, d) => DateParser.zonedTimeToEpoch({ year: y, month: m, day: d }, timezone);
+    
+    // Count the hour from the instant itself: a wall-clock hour repeats when DST ends
+    const hourStart = ms - (((ms + offset * 60000) % HOUR) + HOUR) % HOUR;
+    
+    const ranges = {
+      hour: [hourStart, hourStart + HOUR],
+      day: [midnight(year, month, day), midnight(year, month, day + 1)],
+      week: [midnight(year, month, monday), midnight(year, month, monday + 7)],
+      month: [midnight(year, month, 1), midnight(year, month + 1, 1)],
+      year: [midnight(year, 1, 1), midnight(year + 1, 1, 1)]
+    };
+    
+    return this.PERIODS.map(({ key, label }) => ({
+      key,
+      label,
+      start: ranges[key][0],
+      end: ranges[key][1] - 1
+    }));
+  }
+};
@@ -0,0 +1,119 @@
+/**
+ * EpochLens Site Rules
+ * Per-site allowlist/blocklist and settings overrides
+ */
+
+export const SiteRules = {
+  // Settings a rule may override for matching sites
+  OVERRIDABLE: ['displayMode', 'timezone', 'dateFormat', 'customFormat'],
+  
+  /**
+   * Check if a rule pattern matches a URL
+   * Supported patterns:
+   *   "example.com"              - the domain and all its subdomains
+   *   "*.example.com"            - subdomains only
+   *   "example.com/admin/*"      - host + path glob
+   *   "https://example.com/*"    - full URL glob
+   * @param {string} pattern - Rule pattern
+   * @param {string} url - Page URL
+   * @returns {boolean}
+   */
+  matches(pattern, url) {
+    const trimmed = String(pattern || '').trim().toLowerCase();
+    if (!trimmed) return false;
+    
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      return false;
+    }
+    
+    const host = parsed.hostname.toLowerCase();
+    
+    // URL globs
+    if (trimmed.includes('/')) {
+      const target = trimmed.includes('://')
+        ? parsed.href.toLowerCase()
+        : `${host}${parsed.pathname}${parsed.search}`.toLowerCase();
+      return this._globToRegExp(trimmed).test(target);
+    }
+    
+    // Subdomain wildcard
+    if (trimmed.startsWith('*.')) {
+      return host.endsWith(trimmed.slice(1));
+    }
+    
+    // Other host globs
+    if (trimmed.includes('*')) {
+      return this._globToRegExp(trimmed).test(host);
+    }
+    
+    return host === trimmed || host.endsWith(`.${trimmed}`);
+  },
+  
+  /**
+   * Find the first rule matching a URL
+   * @param {Array} rules - Site rules in priority order
+   * @param {string} url - Page URL
+   * @returns {Object|null} Matching rule
+   */
+  findRule(rules, url) {
+    if (!Array.isArray(rules)) return null;
+    return rules.find(rule => this.matches(rule.pattern, url)) || null;
+  },
+  
+  /**
+   * Resolve the effective settings for a URL
+   * @param {Object} settings - Global settings (with siteRules and siteListMode)
+   * @param {string} url - Page URL
+   * @returns {Object} Settings with the matching rule applied
+   */
+  resolve(settings, url) {
+    const rule = this.findRule(settings.siteRules, url);
+    const effective = { ...settings, siteRule: rule };
+    
+    if (!rule) {
+      // In allowlist mode only listed sites are scanned
+      if (settings.siteListMode === 'allowlist') {
+        effective.enabled = false;
+      }
+      return effective;
+    }
+    
+    if (rule.enabled === false) {
+      effective.enabled = false;
+    }
+    
+    const overrides = rule.overrides || {};
+    this.OVERRIDABLE.forEach((key) => {
+      if (overrides[key]) {
+        effective[key] = overrides[key];
+      }
+    });
+    
+    return effective;
+  },
+  
+  /**
+   * Check if a rule changes anything besides enabling/disabling
+   * @param {Object} rule - Site rule
+   * @returns {boolean}
+   */
+  hasOverrides(rule) {
+    const overrides = (rule && rule.overrides) || {};
+    return this.OVERRIDABLE.some(key => Boolean(overrides[key]));
+  },
+  
+  /**
+   * Convert a glob with * wildcards to an anchored RegExp
+   * @private
+   */
+  _globToRegExp(glob) {
+    const source = glob
+      .split('*')
+      .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.*');
+    return new RegExp(`^${source}$`);
+  }
+};
@@ -3,26 +3,23 @@
  * Chrome storage wrapper for synced settings
  */
 
-// Ensure namespace exists
-if (typeof window.EpochLens === 'undefined') {
-  window.EpochLens = {};
-}
+import { Constants } from './constants.js';
 
-window.EpochLens.Storage = {
+export const Storage = {
   /**
    * Get settings from Chrome storage
    * @returns {Promise<Object>} Settings object
    */
   async getSettings() {
     return new Promise((resolve) => {
-      const key = window.EpochLens.Constants.STORAGE_KEYS.SETTINGS;
+      const key = Constants.STORAGE_KEYS.SETTINGS;
       
       // Check if chrome.storage is available (content script vs popup)
       if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.sync) {
         chrome.storage.sync.get(key, (result) => {
           const settings = result[key] || {};
           resolve({
-            ...window.EpochLens.Constants.DEFAULT_SETTINGS,
+            ...Constants.DEFAULT_SETTINGS,
             ...settings
           });
         });
@@ -32,11 +29,11 @@ window.EpochLens.Storage = {
           const stored = localStorage.getItem(key);
           const settings = stored ? JSON.parse(stored) : {};
           resolve({
-            ...window.EpochLens.Constants.DEFAULT_SETTINGS,
+            ...Constants.DEFAULT_SETTINGS,
             ...settings
           });
         } catch {
-          resolve({ ...window.EpochLens.Constants.DEFAULT_SETTINGS });
+          resolve({ ...Constants.DEFAULT_SETTINGS });
         }
       }
     });
@@ -49,7 +46,7 @@ window.EpochLens.Storage = {
    */
   async saveSettings(settings) {
     return new Promise((resolve, reject) => {
-      const key = window.EpochLens.Constants.STORAGE_KEYS.SETTINGS;
+      const key = Constants.STORAGE_KEYS.SETTINGS;
       
       if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.sync) {
         chrome.storage.sync.set({ [key]: settings }, () => {
@@ -88,7 +85,7 @@ window.EpochLens.Storage = {
    * @returns {Promise<Object>} Default settings
    */
   async resetSettings() {
-    const defaults = { ...window.EpochLens.Constants.DEFAULT_SETTINGS };
+    const defaults = { ...Constants.DEFAULT_SETTINGS };
     await this.saveSettings(defaults);
     return defaults;
   },
@@ -99,7 +96,7 @@ window.EpochLens.Storage = {
    */
   async getStats() {
     return new Promise((resolve) => {
-      const key = window.EpochLens.Constants.STORAGE_KEYS.STATS;
+      const key = Constants.STORAGE_KEYS.STATS;
       
       if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.local) {
         chrome.storage.local.get(key, (result) => {
@@ -122,7 +119,7 @@ window.EpochLens.Storage = {
    * @returns {Promise<void>}
    */
   async updateStats(updates) {
-    const key = window.EpochLens.Constants.STORAGE_KEYS.STATS;
+    const key = Constants.STORAGE_KEYS.STATS;
     const current = await this.getStats();
     const updated = {
       ...current,
@@ -150,10 +147,10 @@ window.EpochLens.Storage = {
   onSettingsChange(callback) {
     if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.onChanged) {
       const listener = (changes, area) => {
-        if (area === 'sync' && changes[window.EpochLens.Constants.STORAGE_KEYS.SETTINGS]) {
-          const newSettings = changes[window.EpochLens.Constants.STORAGE_KEYS.SETTINGS].newValue;
+        if (area === 'sync' && changes[Constants.STORAGE_KEYS.SETTINGS]) {
+          const newSettings = changes[Constants.STORAGE_KEYS.SETTINGS].newValue;
           callback({
-            ...window.EpochLens.Constants.DEFAULT_SETTINGS,
+            ...Constants.DEFAULT_SETTINGS,
             ...newSettings
           });
         }
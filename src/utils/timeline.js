@@ -0,0 +1,81 @@
+/**
+ * EpochLens Timeline
+ * Buckets page timestamps into a histogram and zooms its time range
+ */
+
+export const Timeline = {
+  // Bars in the histogram
+  BUCKETS: 48,
+  
+  // Narrowest range a zoom can reach (ms)
+  MIN_SPAN: 1000,
+  
+  /**
+   * Get the time range covered by some times, at least MIN_SPAN wide
+   * @param {number[]} times - Epoch milliseconds
+   * @returns {{start: number, end: number}|null} null when there are no times
+   */
+  getExtent(times) {
+    if (times.length === 0) return null;
+    
+    let start = Infinity;
+    let end = -Infinity;
+    times.forEach((ms) => {
+      start = Math.min(start, ms);
+      end = Math.max(end, ms);
+    });
+    
+    // Widen around the middle so a single instant still gets a visible bar
+    if (end - start < this.MIN_SPAN) {
+      const middle = (start + end) / 2;
+      return { start: middle - this.MIN_SPAN / 2, end: middle + this.MIN_SPAN / 2 };
+    }
+    return { start, end };
+  },
+  
+  /**
+   * Count entries into equal-width buckets over a range (entries outside it are left out)
+   * @param {Array<{id: number, ms: number}>} entries - Dated page timestamps
+   * @param {{start: number, end: number}} range - Range to cover
+   * @param {number} count - Number of buckets
+   * @returns {Array<{start: number, end: number, ids: number[]}>}
+   */
+  bucketize(entries, range, count = this.BUCKETS) {
+    const width = (range.end - range.start) / count;
+    const buckets = Array.from({ length: count }, (_, index) => ({
+      start: range.start + index * width,
+      end: range.start + (index + 1) * width,
+      ids: []
+    }));
+    
+    entries.forEach(({ id, ms }) => {
+      if (ms < range.start || ms > range.end) return;
+      
+      // The range end belongs to the last bucket
+      const index = Math.min(count - 1, Math.floor((ms - range.start) / width));
+      buckets[index].ids.push(id);
+    });
+    
+    return buckets;
+  },
+  
+  /**
+   * Zoom a range around a point, staying inside the full extent
+   * @param {{start: number, end: number}} range - Current range
+   * @param {number} factor - New width relative to the current one (< 1 zooms in)
+   * @param {number} anchor - Point to keep in place, as a fraction of the range (0-1)
+   * @param {{start: number, end: number}} bounds - Full extent
+   * @returns {{start: number, end: number}|null} null once zoomed all the way out
+   */
+  zoom(range, factor, anchor, bounds) {
+    const fullSpan = bounds.end - bounds.start;
+    const span = Math.min(fullSpan, Math.max(this.MIN_SPAN, (range.end - range.start) * factor));
+    if (span >= fullSpan) return null;
+    
+    const pivot = range.start + (range.end - range.start) * anchor;
+    let start = pivot - span * anchor;
+    start = Math.max(bounds.start, Math.min(start, bounds.end - span));
+    
+    return { start, end: start + span };
+  }
+};
@@ -0,0 +1,157 @@
+/**
+ * EpochLens Timezones
+ * IANA timezone list, validation, UTC offsets and search
+ */
+
+import { Constants } from './constants.js';
+
+export const Timezones = {
+  // How many recently used zones to remember
+  RECENT_LIMIT: 5,
+  
+  // Chrome lists some zones under their pre-rename names; show the current ones
+  RENAMED_ZONES: {
+    'Asia/Calcutta': 'Asia/Kolkata',
+    'Asia/Saigon': 'Asia/Ho_Chi_Minh',
+    'Asia/Katmandu': 'Asia/Kathmandu',
+    'Asia/Rangoon': 'Asia/Yangon',
+    'Europe/Kiev': 'Europe/Kyiv',
+    'America/Godthab': 'America/Nuuk',
+    'Atlantic/Faeroe': 'Atlantic/Faroe',
+    'Pacific/Truk': 'Pacific/Chuuk',
+    'Pacific/Ponape': 'Pacific/Pohnpei',
+    'Pacific/Enderbury': 'Pacific/Kanton'
+  },
+  
+  // Offset formatters are costly to create, so keep one per zone
+  _offsetFormatters: {},
+  
+  /**
+   * Get every zone the browser supports, with Local Time and UTC first
+   * @returns {string[]} 'local', 'UTC' and IANA zone names
+   */
+  list() {
+    let zones;
+    try {
+      zones = Intl.supportedValuesOf('timeZone');
+    } catch {
+      // Older browsers: fall back to the built-in short list
+      zones = Constants.TIMEZONES.map(tz => tz.value);
+    }
+    
+    const current = zones
+      .filter(zone => zone !== 'local' && zone !== 'UTC')
+      .map(zone => this.RENAMED_ZONES[zone] && this.isValid(this.RENAMED_ZONES[zone])
+        ? this.RENAMED_ZONES[zone]
+        : zone);
+    
+    return ['local', 'UTC', ...new Set(current)];
+  },
+  
+  /**
+   * Check if a zone is 'local' or a zone Intl accepts (including aliases like "Asia/Calcutta")
+   * @param {string} timezone - Zone name
+   * @returns {boolean}
+   */
+  isValid(timezone) {
+    if (timezone === 'local') return true;
+    if (!timezone || typeof timezone !== 'string') return false;
+    
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+      return true;
+    } catch {
+      return false;
+    }
+  },
+  
+  /**
+   * Get the current UTC offset of a zone
+   * @param {string} timezone - Zone name or 'local'
+   * @param {Date} date - Instant to get the offset at (offsets change with DST)
+   * @returns {string} e.g. "+05:30", or '' for invalid zones
+   */
+  getOffset(timezone, date = new Date()) {
+    if (timezone === 'local') {
+      const offset = -date.getTimezoneOffset();
+      const sign = offset >= 0 ? '+' : '-';
+      const hours = String(Math.floor(Math.abs(offset) / 60)).padStart(2, '0');
+      const mins = String(Math.abs(offset) % 60).padStart(2, '0');
+      return `${sign}${hours}:${mins}`;
+    }
+    
+    try {
+      if (!this._offsetFormatters[timezone]) {
+        this._offsetFormatters[timezone] = new Intl.DateTimeFormat('en-US', {
+          timeZone: timezone,
+          timeZoneName: 'longOffset'
+        });
+      }
+      
+      const name = this._offsetFormatters[timezone]
+        .formatToParts(date)
+        .find(part => part.type === 'timeZoneName').value;
+      
+      // "GMT" alone means +00:00
+      return name.replace('GMT', '') || '+00:00';
+    } catch {
+      return '';
+    }
+  },
+  
+  /**
+   * Get a display label for a zone
+   * @param {string} timezone - Zone name or 'local'
+   * @returns {string} e.g. "Local Time", "America/Sao Paulo"
+   */
+  getLabel(timezone) {
+    if (timezone === 'local') return 'Local Time';
+    return String(timezone).replace(/_/g, ' ');
+  },
+  
+  /**
+   * Filter zones by name or offset
+   * @param {string[]} zones - Zones to search
+   * @param {string} query - e.g. "sao", "new york", "+5:30", "utc-3"
+   * @returns {string[]} Matching zones, those starting with the query first
+   */
+  search(zones, query) {
+    const normalized = String(query || '').trim().toLowerCase().replace(/[_\s]+/g, ' ');
+    if (!normalized) return zones;
+    
+    // Offset queries: "+5:30", "-03", "utc+1", "gmt-3"
+    const offsetMatch = normalized.match(/^(?:utc|gmt)?\s*([+-])(\d{1,2})(?::?(\d{2}))?$/);
+    if (offsetMatch) {
+      const [, sign, hours, mins = '00'] = offsetMatch;
+      const offset = `${sign}${hours.padStart(2, '0')}:${mins}`;
+      return zones.filter(zone => this.getOffset(zone) === offset);
+    }
+    
+    const starts = [];
+    const contains = [];
+    
+    zones.forEach((zone) => {
+      const label = this.getLabel(zone).toLowerCase();
+      const city = label.split('/').pop();
+      
+      if (city.startsWith(normalized) || label.startsWith(normalized)) {
+        starts.push(zone);
+      } else if (label.includes(normalized)) {
+        contains.push(zone);
+      }
+    });
+    
+    return [...starts, ...contains];
+  },
+  
+  /**
+   * Move a zone to the front of a recently used list
+   * @param {string[]} recent - Current list
+   * @param {string} timezone - Zone that was just used
+   * @returns {string[]} New list, at most RECENT_LIMIT long
+   */
+  addRecent(recent, timezone) {
+    const list = (recent || []).filter(zone => zone !== timezone);
+    return [timezone, ...list].slice(0, this.RECENT_LIMIT);
+  }
+};
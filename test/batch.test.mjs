@@ -0,0 +1,51 @@
+/**
+ * Batch conversion tests
+ * Run with `npm test`
+ */
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { Constants } from '../src/utils/constants.js';
+import { Batch } from '../src/utils/batch.js';
+
+const settings = { ...Constants.DEFAULT_SETTINGS, timezone: 'UTC', dateFormat: 'iso' };
+
+describe('Batch.convertAll', () => {
+  it('finds timestamps with their line and unit', () => {
+    const matches = Batch.convertAll('start 1714560000\nend 1714560000123456\nid 42', settings);
+    
+    assert.deepEqual(matches.map(match => [match.line, match.unit, match.iso]), [
+      [1, 'seconds', '2024-05-01T10:40:00.000Z'],
+      [2, 'microseconds', '2024-05-01T10:40:00.123456Z']
+    ]);
+  });
+});
+
+describe('Batch.transform', () => {
+  it('annotates each value in place', () => {
+    const text = 'ts=1714560000 done';
+    
+    assert.equal(Batch.transform(text, Batch.convertAll(text, settings), 'annotate'), 'ts=1714560000 [2024-05-01T10:40:00.000Z] done');
+  });
+  
+  it('quotes replaced numbers so JSON still parses', () => {
+    const text = '{"created": 1714560000, "label": "1714560000"}';
+    const replaced = Batch.transform(text, Batch.convertAll(text, settings), 'replace');
+    
+    assert.deepEqual(JSON.parse(replaced), { created: '2024-05-01T10:40:00.000Z', label: '2024-05-01T10:40:00.000Z' });
+  });
+  
+  it('replaces plain text without quotes', () => {
+    const text = 'at 1714560000';
+    
+    assert.equal(Batch.transform(text, Batch.convertAll(text, settings), 'replace'), 'at 2024-05-01T10:40:00.000Z');
+  });
+});
+
+describe('Batch.toTable', () => {
+  it('writes one tab-separated row per match', () => {
+    const [, row] = Batch.toTable(Batch.convertAll('1714560000', settings)).split('\n');
+    
+    assert.deepEqual(row.split('\t').slice(0, 4), ['1', '1714560000', 'seconds', '2024-05-01T10:40:00.000Z']);
+  });
+});
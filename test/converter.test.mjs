@@ -0,0 +1,185 @@
+/**
+ * Converter tests
+ * Run with `npm test`
+ */
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { Constants } from '../src/utils/constants.js';
+import { Converter } from '../src/utils/converter.js';
+
+// A browser zone that differs from the assumed one, so zone mix-ups show
+process.env.TZ = 'America/New_York';
+
+const settings = { ...Constants.DEFAULT_SETTINGS, inputTimezone: 'Asia/Tokyo' };
+
+describe('Converter.toMilliseconds', () => {
+  it('reads each precision from the digit count', () => {
+    assert.equal(Converter.toMilliseconds('1714560000'), 1714560000000);
+    assert.equal(Converter.toMilliseconds('1714560000123'), 1714560000123);
+    assert.equal(Converter.toMilliseconds('1714560000123456'), 1714560000123);
+    assert.equal(Converter.toMilliseconds('1714560000123456789'), 1714560000123);
+  });
+  
+  it('keeps the digits below the millisecond', () => {
+    assert.equal(Converter.getSubMillisecond('1714560000123'), '');
+    assert.equal(Converter.getSubMillisecond('1714560000123456'), '456');
+    assert.equal(Converter.getSubMillisecond('1714560000123456789'), '456789');
+    
+    const result = Converter.convert('1714560000123456789', settings);
+    assert.equal(result.unit, 'nanoseconds');
+    assert.equal(result.isoPrecise, '2024-05-01T10:40:00.123456789Z');
+  });
+});
+
+describe('Converter.getValidRange', () => {
+  it('reads the fixed window from the dates', () => {
+    const range = Converter.getValidRange({ rangeMode: 'fixed', rangeStart: '1970-01-01', rangeEnd: '2100-01-01' });
+    
+    assert.deepEqual(range, { min: 0, max: Date.UTC(2100, 0, 1) });
+    assert.equal(Converter.isValidTimestamp('1714560000', settings), true);
+    assert.equal(Converter.isValidTimestamp('4133980800', settings), false);
+  });
+  
+  it('falls back to the default dates when one is invalid', () => {
+    const range = Converter.getValidRange({ rangeMode: 'fixed', rangeStart: 'soon', rangeEnd: '' });
+    
+    assert.deepEqual(range, { min: Date.UTC(2000, 0, 1), max: Date.UTC(2100, 0, 1) });
+  });
+  
+  it('spans the years around now in relative mode', () => {
+    const year = 365.25 * 24 * 60 * 60 * 1000;
+    const before = Date.now();
+    const range = Converter.getValidRange({ rangeMode: 'relative', rangeYears: 2 });
+    
+    assert.ok(range.min >= before - 2 * year && range.min <= Date.now() - 2 * year);
+    assert.ok(range.max >= before + 2 * year && range.max <= Date.now() + 2 * year);
+  });
+});
+
+describe('Converter.getSecondaryTimezones', () => {
+  it('falls back to the single legacy zone', () => {
+    const options = { showSecondaryTimezone: true, secondaryTimezones: null, secondaryTimezone: 'Asia/Tokyo' };
+    
+    assert.deepEqual(Converter.getSecondaryTimezones(options), [{ timezone: 'Asia/Tokyo', label: '' }]);
+    assert.deepEqual(Converter.getSecondaryTimezones({ showSecondaryTimezone: true }), [{ timezone: 'UTC', label: '' }]);
+  });
+  
+  it('prefers the list and skips entries without a zone', () => {
+    const options = {
+      showSecondaryTimezone: true,
+      secondaryTimezone: 'Asia/Tokyo',
+      secondaryTimezones: [{ timezone: 'UTC', label: 'Server' }, { timezone: '', label: 'Empty' }, null]
+    };
+    
+    assert.deepEqual(Converter.getSecondaryTimezones(options), [{ timezone: 'UTC', label: 'Server' }]);
+    assert.deepEqual(Converter.getSecondaryTimezones({ ...options, showSecondaryTimezone: false }), []);
+  });
+  
+  it('labels each zone in the result', () => {
+    const options = { ...settings, showSecondaryTimezone: true, secondaryTimezones: [{ timezone: 'Asia/Tokyo', label: '' }] };
+    const [secondary] = Converter.convert('1714560000', options).secondary;
+    
+    assert.equal(secondary.label, 'Asia/Tokyo');
+    assert.match(secondary.formatted, /07:40:00 PM/);
+  });
+});
+
+describe('Converter.formatDuration', () => {
+  it('shows the two largest non-zero units', () => {
+    assert.equal(Converter.formatDuration(90061000), '1d 1h');
+    assert.equal(Converter.formatDuration(86405000), '1d 5s');
+    assert.equal(Converter.formatDuration(3630000), '1h 30s');
+  });
+  
+  it('handles short and negative durations', () => {
+    assert.equal(Converter.formatDuration(45000), '45s');
+    assert.equal(Converter.formatDuration(250), '250ms');
+    assert.equal(Converter.formatDuration(-5400000), '−1h 30m');
+  });
+});
+
+describe('Converter.convertDateString', () => {
+  it('reads zone-less page dates in the assumed timezone', () => {
+    const result = Converter.convertDateString('2024-05-01 15:00:00.123456', { ...settings, reverseTimezone: 'Asia/Tokyo' });
+    
+    assert.equal(result.milliseconds, Date.UTC(2024, 4, 1, 6, 0, 0, 123));
+    assert.equal(result.isoPrecise, '2024-05-01T06:00:00.123456Z');
+    assert.equal(result.assumedTimezone, 'Asia/Tokyo');
+  });
+  
+  it('keeps explicit offsets', () => {
+    const result = Converter.convertDateString('2024-05-01T15:00:00+0200', { ...settings, reverseTimezone: 'Asia/Tokyo' });
+    
+    assert.equal(result.milliseconds, Date.UTC(2024, 4, 1, 13));
+    assert.equal(result.assumedTimezone, null);
+  });
+  
+  it('rejects dates that don\'t exist', () => {
+    assert.equal(Converter.convertDateString('2024-02-30T10:00', settings).success, false);
+    assert.equal(Converter.convertDateString('2024-05-01T24:00', settings).success, false);
+  });
+});
+
+describe('Converter.convertMilliseconds', () => {
+  it('formats without a range check and keeps sub-millisecond digits', () => {
+    const early = Converter.convertMilliseconds(Date.UTC(1900, 0, 1), settings);
+    const precise = Converter.convertMilliseconds(1714560000123, settings, '456');
+    
+    assert.equal(early.success, true);
+    assert.equal(early.date.toISOString(), '1900-01-01T00:00:00.000Z');
+    assert.equal(precise.isoPrecise, '2024-05-01T10:40:00.123456Z');
+  });
+  
+  it('keeps a millisecond fraction as microseconds', () => {
+    const result = Converter.convertMilliseconds(1714560000000.25, settings);
+    
+    assert.equal(result.milliseconds, 1714560000000);
+    assert.equal(result.isoPrecise, '2024-05-01T10:40:00.000250Z');
+  });
+});
+
+describe('Converter.convertAnyDate', () => {
+  it('reads slashed dates in the configured order', () => {
+    const dmy = Converter.convertAnyDate('01/05/2024', { ...settings, dateOrder: 'dmy' });
+    const mdy = Converter.convertAnyDate('01/05/2024', { ...settings, dateOrder: 'mdy' });
+    
+    assert.equal(dmy.milliseconds, Date.UTC(2024, 3, 30, 15));
+    assert.equal(mdy.milliseconds, Date.UTC(2024, 0, 4, 15));
+  });
+  
+  it('reads zone-less human dates in the input timezone, not the browser one', () => {
+    const result = Converter.convertAnyDate('May 1, 2024 3:00 PM', settings);
+    
+    assert.equal(result.milliseconds, Date.UTC(2024, 4, 1, 6));
+    assert.equal(result.assumedTimezone, 'Asia/Tokyo');
+  });
+  
+  it('reads zone-less ISO 8601 dates in the input timezone', () => {
+    assert.equal(Converter.convertAnyDate('2024-05-01T15:00', settings).milliseconds, Date.UTC(2024, 4, 1, 6));
+  });
+  
+  it('leaves the page dates\' assumed timezone to reverse mode', () => {
+    const options = { ...settings, reverseTimezone: 'UTC' };
+    
+    assert.equal(Converter.convertAnyDate('May 1, 2024 3:00 PM', options).milliseconds, Date.UTC(2024, 4, 1, 6));
+    assert.equal(Converter.convertHumanDate('May 1, 2024 3:00 PM', options).milliseconds, Date.UTC(2024, 4, 1, 15));
+  });
+  
+  it('keeps explicit zones and sub-millisecond digits', () => {
+    const iso = Converter.convertAnyDate('2024-05-01T15:00:00.123456+02:00', settings);
+    const rfc = Converter.convertAnyDate('Wed, 01 May 2024 15:00:00 GMT', settings);
+    const named = Converter.convertAnyDate('May 1 2024 15:00 UTC', settings);
+    
+    assert.equal(iso.milliseconds, Date.UTC(2024, 4, 1, 13, 0, 0, 123));
+    assert.equal(iso.isoPrecise, '2024-05-01T13:00:00.123456Z');
+    assert.equal(rfc.milliseconds, Date.UTC(2024, 4, 1, 15));
+    assert.equal(named.milliseconds, Date.UTC(2024, 4, 1, 15));
+  });
+  
+  it('rejects text that only contains numbers', () => {
+    ['foo 12', 'version 2.5', 'Order 12', '12/11', 'build 2024'].forEach((value) => {
+      assert.equal(Converter.convertAnyDate(value, settings).success, false, value);
+    });
+  });
+});
@@ -0,0 +1,43 @@
+/**
+ * ID decoder tests
+ * Run with `npm test`
+ */
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { Converter } from '../src/utils/converter.js';
+import { Decoders } from '../src/utils/decoders.js';
+
+const decode = (value, options = {}) => {
+  const result = Converter.convertId(value, options);
+  return { type: result.idType, name: result.idName, iso: result.isoPrecise || result.date.toISOString() };
+};
+
+describe('Decoders', () => {
+  it('decodes time-based UUIDs', () => {
+    // RFC 9562 examples, all 2022-02-22T19:22:22Z
+    assert.deepEqual(decode('c232ab00-9414-11ec-b3c8-9f6bdeced846'), { type: 'uuid', name: 'UUID v1', iso: '2022-02-22T19:22:22.0000000Z' });
+    assert.deepEqual(decode('1EC9414C-232A-6B00-B3C8-9F6BDECED846'), { type: 'uuid', name: 'UUID v6', iso: '2022-02-22T19:22:22.0000000Z' });
+    assert.deepEqual(decode('017F22E2-79B0-7CC3-98C4-DC0C0C07398F'), { type: 'uuid', name: 'UUID v7', iso: '2022-02-22T19:22:22.000Z' });
+  });
+  
+  it('decodes ObjectIds, ULIDs and KSUIDs', () => {
+    assert.deepEqual(decode('507f1f77bcf86cd799439011'), { type: 'objectid', name: 'MongoDB ObjectId', iso: '2012-10-17T21:13:27.000Z' });
+    assert.deepEqual(decode('01ARZ3NDEKTSV4RRFFQ69G5FAV'), { type: 'ulid', name: 'ULID', iso: '2016-07-30T23:54:10.259Z' });
+    assert.deepEqual(decode('0ujtsYcgvSTl8PAuAdqWYSMnLOv'), { type: 'ksuid', name: 'KSUID', iso: '2017-10-10T04:00:47.000Z' });
+  });
+  
+  it('decodes snowflakes with the configured epoch', () => {
+    const discord = decode('175928847299117063', { snowflakeEpoch: 'discord' });
+    const twitter = decode('175928847299117063', { snowflakeEpoch: 'twitter' });
+    
+    assert.deepEqual(discord, { type: 'snowflake', name: 'Discord snowflake', iso: '2016-04-30T11:18:25.796Z' });
+    assert.equal(twitter.name, 'Twitter snowflake');
+    assert.equal(Date.parse(discord.iso) - Date.parse(twitter.iso), 1420070400000 - 1288834974657);
+  });
+  
+  it('rejects values too large for their format', () => {
+    assert.equal(Decoders.decodeSnowflake('99999999999999999999'), null);
+    assert.equal(Decoders.decodeKsuid('zzzzzzzzzzzzzzzzzzzzzzzzzzz'), null);
+  });
+});
@@ -0,0 +1,51 @@
+/**
+ * Exporter tests
+ * Run with `npm test`
+ */
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { Exporter } from '../src/utils/exporter.js';
+
+const timestamps = [
+  { value: 'abc', type: 'ID', ms: null, top: 0, iso: null, formatted: 'Invalid', relative: '', context: 'id abc' },
+  { value: '1714560000', type: 'Seconds', ms: 1714560000000, top: 50, iso: '2024-05-01T10:40:00.000Z', formatted: 'May 1, 2024', relative: '2 years ago', context: 'deployed "v2", at 1714560000\nok' },
+  { value: '1714473600', type: 'Seconds', ms: 1714473600000, top: 90, iso: '2024-04-30T10:40:00.000Z', formatted: 'Apr 30, 2024', relative: '2 years ago', context: '' }
+];
+
+describe('Exporter.toRows', () => {
+  it('sorts oldest first with unconvertible values last', () => {
+    const rows = Exporter.toRows(timestamps, 'America/New_York');
+    
+    assert.deepEqual(rows.map(row => row.value), ['1714473600', '1714560000', 'abc']);
+    assert.deepEqual(rows.map(row => row.timezone), ['America/New York', 'America/New York', '']);
+  });
+});
+
+describe('Exporter.toCsv', () => {
+  it('quotes commas, quotes and line breaks', () => {
+    const columns = [{ key: 'value', label: 'Value' }, { key: 'context', label: 'Context, full' }];
+    const csv = Exporter.toCsv(Exporter.toRows(timestamps, 'UTC'), columns);
+    
+    assert.equal(csv, [
+      'Value,"Context, full"',
+      '1714473600,',
+      '1714560000,"deployed ""v2"", at 1714560000\nok"',
+      'abc,id abc',
+      ''
+    ].join('\r\n'));
+  });
+  
+  it('writes a header row for every column', () => {
+    const [header] = Exporter.toCsv([]).split('\r\n');
+    
+    assert.equal(header, 'Value,Type,ISO 8601 (UTC),Formatted,Timezone,Relative,Context');
+  });
+});
+
+describe('Exporter.getFilename', () => {
+  it('names the file after the page host', () => {
+    assert.match(Exporter.getFilename('https://logs.example.com/run/1', 'csv'), /^epochlens-logs\.example\.com-\d{8}-\d{6}\.csv$/);
+    assert.match(Exporter.getFilename('not a url', 'json'), /^epochlens-page-\d{8}-\d{6}\.json$/);
+  });
+});
@@ -0,0 +1,74 @@
+/**
+ * Expression tests
+ * Run with `npm test`
+ */
+
+import assert from 'node:assert/strict';
+import { describe, it, mock } from 'node:test';
+import { Constants } from '../src/utils/constants.js';
+import { Expressions } from '../src/utils/expressions.js';
+
+process.env.TZ = 'America/New_York';
+
+const settings = { ...Constants.DEFAULT_SETTINGS, inputTimezone: 'UTC' };
+const NOW = Date.UTC(2024, 4, 1, 12);
+
+describe('Expressions.isExpression', () => {
+  it('needs spaces around operators, except after now', () => {
+    ['now', 'now-7d', 'now - 7d', '1714560000 + 3600', '2024-05-01T00:00Z + 1w'].forEach((value) => {
+      assert.equal(Expressions.isExpression(value), true, value);
+    });
+    
+    ['1714560000', '2024-05-01', '2024-05-01T00:00+02:00', 'May 1, 2024'].forEach((value) => {
+      assert.equal(Expressions.isExpression(value), false, value);
+    });
+  });
+});
+
+describe('Expressions.evaluate', () => {
+  it('subtracts durations from now, written with or without spaces', () => {
+    mock.method(Date, 'now', () => NOW);
+    
+    try {
+      const spaced = Expressions.evaluate('now - 7d', settings);
+      const compact = Expressions.evaluate('now-7d', settings);
+      
+      assert.deepEqual(compact, spaced);
+      assert.equal(compact.type, 'instant');
+      assert.equal(compact.ms, NOW - 7 * 86400000);
+    } finally {
+      mock.restoreAll();
+    }
+  });
+  
+  it('adds compound durations and bare seconds to dates', () => {
+    assert.equal(Expressions.evaluate('2024-05-01T00:00Z + 1h30m', settings).ms, Date.UTC(2024, 4, 1, 1, 30));
+    assert.equal(Expressions.evaluate('1714560000 + 3600', settings).ms, 1714563600000);
+  });
+  
+  it('keeps the sub-millisecond digits of precise timestamps', () => {
+    const result = Expressions.evaluate('1714560000123456 + 1s', settings);
+    
+    assert.equal(result.ms, 1714560001123);
+    assert.equal(result.subMillisecond, '456');
+  });
+  
+  it('turns the difference of two dates into a duration', () => {
+    assert.deepEqual(Expressions.evaluate('1714560000 - 1714473600', settings), { success: true, type: 'duration', ms: 86400000 });
+  });
+  
+  it('rejects invalid combinations and results outside the window', () => {
+    assert.equal(Expressions.evaluate('7d - now', settings).error, 'Put the date first (date ± duration)');
+    assert.equal(Expressions.evaluate('now + now', settings).error, 'Two dates can only be subtracted');
+    assert.equal(Expressions.evaluate('now + soon', settings).error, 'Unrecognized value "soon"');
+    assert.equal(Expressions.evaluate('1714560000 + 100000w', settings).success, false);
+  });
+});
+
+describe('Expressions.toIsoDuration', () => {
+  it('writes days, hours, minutes and seconds', () => {
+    assert.equal(Expressions.toIsoDuration(93784500), 'P1DT2H3M4.5S');
+    assert.equal(Expressions.toIsoDuration(-3600000), '-PT1H');
+    assert.equal(Expressions.toIsoDuration(0), 'PT0S');
+  });
+});
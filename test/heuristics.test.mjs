@@ -0,0 +1,65 @@
+/**
+ * Heuristics tests
+ * Run with `npm test`
+ */
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { Heuristics } from '../src/utils/heuristics.js';
+
+// A timestamp more than two years from now, so "close to now" never adds to the score
+const VALUE = '1500000000';
+
+const scoreIn = (before, after = '') => Heuristics.score(`${before}${VALUE}${after}`, { value: VALUE, index: before.length });
+
+describe('Heuristics.score', () => {
+  it('raises time-like keys and words', () => {
+    assert.deepEqual(scoreIn('{"created_at": '), { score: 0.9, reasons: ['time-like key'] });
+    assert.deepEqual(scoreIn('updated on '), { score: 0.7, reasons: ['time-like word'] });
+  });
+  
+  it('lowers ID-like keys, phone prefixes and URLs', () => {
+    assert.deepEqual(scoreIn('"order_id": '), { score: 0.1, reasons: ['ID-like key'] });
+    assert.deepEqual(scoreIn('+1 '), { score: 0.1, reasons: ['phone number prefix'] });
+    assert.deepEqual(scoreIn('Order #'), { score: 0.1, reasons: ['ID-like word'] });
+    assert.deepEqual(scoreIn('see https://example.com/orders/'), { score: 0, reasons: ['inside URL'] });
+  });
+  
+  it('lowers numbers that are part of longer ones', () => {
+    assert.equal(scoreIn('555-').score, 0.2);
+    assert.equal(scoreIn('12,').score, 0.1);
+    assert.equal(scoreIn('', ',000').score, 0.1);
+  });
+  
+  it('lowers repeated and sequential digits', () => {
+    assert.deepEqual(Heuristics.score('1111111111', { value: '1111111111', index: 0 }).reasons, ['digit pattern']);
+    assert.deepEqual(Heuristics.score('1234567890', { value: '1234567890', index: 0 }).reasons, ['digit pattern']);
+  });
+  
+  it('raises values close to now', () => {
+    const now = String(Math.floor(Date.now() / 1000));
+    assert.deepEqual(Heuristics.score(now, { value: now, index: 0 }), { score: 0.6, reasons: ['close to now'] });
+  });
+});
+
+describe('Heuristics.filter', () => {
+  const text = `id: ${VALUE}, ts=${VALUE}`;
+  const matches = [{ value: VALUE, index: 4 }, { value: VALUE, index: 19 }];
+  const options = { heuristicFiltering: true, confidenceThreshold: 0.35 };
+  
+  it('flags matches below the threshold', () => {
+    const filtered = Heuristics.filter(text, matches, { ...options, lowConfidenceAction: 'dim' });
+    
+    assert.deepEqual(filtered.map(match => [match.confidence, match.lowConfidence]), [[0.1, true], [0.9, false]]);
+  });
+  
+  it('drops them when they are hidden', () => {
+    const filtered = Heuristics.filter(text, matches, { ...options, lowConfidenceAction: 'hide' });
+    
+    assert.deepEqual(filtered.map(match => match.index), [19]);
+  });
+  
+  it('leaves matches alone when filtering is off', () => {
+    assert.equal(Heuristics.filter(text, matches, { confidenceThreshold: 0.35 }), matches);
+  });
+});
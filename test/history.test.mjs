@@ -0,0 +1,74 @@
+/**
+ * Conversion history tests
+ * Run with `npm test`
+ */
+
+import assert from 'node:assert/strict';
+import { beforeEach, describe, it } from 'node:test';
+import { ConversionHistory } from '../src/utils/history.js';
+
+// chrome.storage.local stand-in that answers asynchronously, like the real one
+let stored = {};
+globalThis.chrome = {
+  storage: {
+    local: {
+      get: (key, callback) => setTimeout(() => callback({ [key]: stored[key] }), 1),
+      set: (items, callback) => setTimeout(() => {
+        stored = { ...stored, ...items };
+        callback();
+      }, 1)
+    }
+  }
+};
+
+const entry = (input, output) => ({ input, output, type: 'Seconds', source: 'popup', url: 'https://example.com/' });
+
+describe('ConversionHistory', () => {
+  beforeEach(() => {
+    stored = {};
+  });
+  
+  it('keeps both entries when two adds run at once', async () => {
+    await Promise.all([
+      ConversionHistory.add(entry('1714560000', 'May 1, 2024')),
+      ConversionHistory.add(entry('1714646400', 'May 2, 2024'))
+    ]);
+    
+    const inputs = (await ConversionHistory.getAll()).map(item => item.input);
+    assert.deepEqual(inputs, ['1714646400', '1714560000']);
+  });
+  
+  it('keeps a pin made while an add is pending', async () => {
+    const first = await ConversionHistory.add(entry('1714560000', 'May 1, 2024'));
+    
+    await Promise.all([
+      ConversionHistory.add(entry('1714646400', 'May 2, 2024')),
+      ConversionHistory.setPinned(first.id, true)
+    ]);
+    
+    const entries = await ConversionHistory.getAll();
+    assert.equal(entries.length, 2);
+    assert.equal(entries.find(item => item.id === first.id).pinned, true);
+  });
+  
+  it('moves a repeated conversion to the top and keeps its pin', async () => {
+    const first = await ConversionHistory.add(entry('1714560000', 'May 1, 2024'));
+    await ConversionHistory.setPinned(first.id, true);
+    await ConversionHistory.add(entry('1714646400', 'May 2, 2024'));
+    const again = await ConversionHistory.add(entry('1714560000', 'May 1, 2024'));
+    
+    const entries = await ConversionHistory.getAll();
+    assert.equal(entries.length, 2);
+    assert.equal(entries[0].id, first.id);
+    assert.equal(again.pinned, true);
+  });
+  
+  it('clears every unpinned entry', async () => {
+    const first = await ConversionHistory.add(entry('1714560000', 'May 1, 2024'));
+    await ConversionHistory.add(entry('1714646400', 'May 2, 2024'));
+    await ConversionHistory.setPinned(first.id, true);
+    
+    const remaining = await ConversionHistory.clear();
+    assert.deepEqual(remaining.map(item => item.id), [first.id]);
+  });
+});
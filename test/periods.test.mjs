@@ -0,0 +1,50 @@
+/**
+ * Period boundary tests
+ * Run with `npm test`
+ */
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { Periods } from '../src/utils/periods.js';
+
+// A browser zone other than the one asked for, so zone mix-ups show
+process.env.TZ = 'Asia/Tokyo';
+
+const HOUR = 3600000;
+const bounds = (ms, timezone) => Object.fromEntries(Periods.getBoundaries(ms, timezone).map(({ key, start, end }) => [key, [start, end]]));
+
+describe('Periods.getBoundaries', () => {
+  it('bounds every period in the zone', () => {
+    // Wednesday 2024-05-01 15:20 in Berlin (UTC+2)
+    const periods = bounds(Date.UTC(2024, 4, 1, 13, 20), 'Europe/Berlin');
+    
+    assert.deepEqual(periods.hour, [Date.UTC(2024, 4, 1, 13), Date.UTC(2024, 4, 1, 14) - 1]);
+    assert.deepEqual(periods.day, [Date.UTC(2024, 3, 30, 22), Date.UTC(2024, 4, 1, 22) - 1]);
+    assert.deepEqual(periods.week, [Date.UTC(2024, 3, 28, 22), Date.UTC(2024, 4, 5, 22) - 1]);
+    assert.deepEqual(periods.month, [Date.UTC(2024, 3, 30, 22), Date.UTC(2024, 4, 31, 22) - 1]);
+    assert.deepEqual(periods.year, [Date.UTC(2023, 11, 31, 23), Date.UTC(2024, 11, 31, 23) - 1]);
+  });
+  
+  it('makes the spring-forward day 23 hours long', () => {
+    const { day } = bounds(Date.UTC(2024, 2, 10, 16), 'America/New_York');
+    
+    assert.deepEqual(day, [Date.UTC(2024, 2, 10, 5), Date.UTC(2024, 2, 11, 4) - 1]);
+    assert.equal(day[1] + 1 - day[0], 23 * HOUR);
+  });
+  
+  it('makes the fall-back day 25 hours long and keeps each repeated hour apart', () => {
+    const first = bounds(Date.UTC(2024, 10, 3, 5, 30), 'America/New_York');
+    const second = bounds(Date.UTC(2024, 10, 3, 6, 30), 'America/New_York');
+    
+    assert.equal(first.day[1] + 1 - first.day[0], 25 * HOUR);
+    assert.deepEqual(first.hour, [Date.UTC(2024, 10, 3, 5), Date.UTC(2024, 10, 3, 6) - 1]);
+    assert.deepEqual(second.hour, [Date.UTC(2024, 10, 3, 6), Date.UTC(2024, 10, 3, 7) - 1]);
+  });
+  
+  it('starts weeks and months across a DST change at local midnight', () => {
+    const { week, month } = bounds(Date.UTC(2024, 2, 31, 12), 'Europe/Berlin');
+    
+    assert.deepEqual(week, [Date.UTC(2024, 2, 24, 23), Date.UTC(2024, 2, 31, 22) - 1]);
+    assert.deepEqual(month, [Date.UTC(2024, 1, 29, 23), Date.UTC(2024, 2, 31, 22) - 1]);
+  });
+});
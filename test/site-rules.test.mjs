@@ -0,0 +1,51 @@
+/**
+ * Site rules tests
+ * Run with `npm test`
+ */
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { SiteRules } from '../src/utils/site-rules.js';
+
+describe('SiteRules.matches', () => {
+  it('matches a domain and its subdomains', () => {
+    assert.equal(SiteRules.matches('example.com', 'https://example.com/'), true);
+    assert.equal(SiteRules.matches('example.com', 'https://app.example.com/'), true);
+    assert.equal(SiteRules.matches('example.com', 'https://notexample.com/'), false);
+  });
+  
+  it('matches subdomain wildcards and path globs', () => {
+    assert.equal(SiteRules.matches('*.example.com', 'https://example.com/'), false);
+    assert.equal(SiteRules.matches('*.example.com', 'https://app.example.com/'), true);
+    assert.equal(SiteRules.matches('example.com/admin/*', 'https://example.com/admin/users?page=2'), true);
+    assert.equal(SiteRules.matches('example.com/admin/*', 'https://example.com/blog/'), false);
+    assert.equal(SiteRules.matches('https://example.com/*', 'http://example.com/'), false);
+  });
+});
+
+describe('SiteRules.resolve', () => {
+  const rules = [
+    { pattern: 'logs.example.com', overrides: { timezone: 'UTC', displayMode: '' } },
+    { pattern: 'example.com', enabled: false }
+  ];
+  
+  it('applies the first matching rule and its overrides', () => {
+    const settings = { enabled: true, timezone: 'local', displayMode: 'tooltip', siteRules: rules, siteListMode: 'blocklist' };
+    const logs = SiteRules.resolve(settings, 'https://logs.example.com/');
+    
+    assert.equal(logs.enabled, true);
+    assert.equal(logs.timezone, 'UTC');
+    assert.equal(logs.displayMode, 'tooltip');
+    assert.equal(logs.siteRule, rules[0]);
+    assert.equal(SiteRules.resolve(settings, 'https://www.example.com/').enabled, false);
+  });
+  
+  it('only scans unlisted sites in blocklist mode', () => {
+    const blocklist = { enabled: true, siteRules: rules, siteListMode: 'blocklist' };
+    const allowlist = { ...blocklist, siteListMode: 'allowlist' };
+    
+    assert.equal(SiteRules.resolve(blocklist, 'https://other.org/').enabled, true);
+    assert.equal(SiteRules.resolve(allowlist, 'https://other.org/').enabled, false);
+    assert.equal(SiteRules.resolve(allowlist, 'https://logs.example.com/').enabled, true);
+  });
+});
@@ -0,0 +1,47 @@
+/**
+ * Timeline tests
+ * Run with `npm test`
+ */
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { Timeline } from '../src/utils/timeline.js';
+
+describe('Timeline.getExtent', () => {
+  it('covers every time', () => {
+    assert.deepEqual(Timeline.getExtent([5000, 1000, 9000]), { start: 1000, end: 9000 });
+    assert.equal(Timeline.getExtent([]), null);
+  });
+  
+  it('widens a single instant to the narrowest span', () => {
+    assert.deepEqual(Timeline.getExtent([10000, 10000]), { start: 9500, end: 10500 });
+  });
+});
+
+describe('Timeline.bucketize', () => {
+  it('counts entries into equal buckets, the end in the last one', () => {
+    const entries = [{ id: 1, ms: 0 }, { id: 2, ms: 2499 }, { id: 3, ms: 2500 }, { id: 4, ms: 10000 }, { id: 5, ms: 10001 }];
+    const buckets = Timeline.bucketize(entries, { start: 0, end: 10000 }, 4);
+    
+    assert.deepEqual(buckets.map(bucket => [bucket.start, bucket.end]), [[0, 2500], [2500, 5000], [5000, 7500], [7500, 10000]]);
+    assert.deepEqual(buckets.map(bucket => bucket.ids), [[1, 2], [3], [], [4]]);
+  });
+});
+
+describe('Timeline.zoom', () => {
+  const bounds = { start: 0, end: 100000 };
+  
+  it('keeps the anchor in place', () => {
+    assert.deepEqual(Timeline.zoom(bounds, 0.5, 0.5, bounds), { start: 25000, end: 75000 });
+    assert.deepEqual(Timeline.zoom(bounds, 0.5, 0, bounds), { start: 0, end: 50000 });
+  });
+  
+  it('stays inside the extent and above the narrowest span', () => {
+    assert.deepEqual(Timeline.zoom({ start: 80000, end: 100000 }, 0.5, 1, bounds), { start: 90000, end: 100000 });
+    assert.deepEqual(Timeline.zoom({ start: 0, end: 1500 }, 0.1, 0, bounds), { start: 0, end: Timeline.MIN_SPAN });
+  });
+  
+  it('returns null once zoomed all the way out', () => {
+    assert.equal(Timeline.zoom({ start: 25000, end: 75000 }, 2, 0.5, bounds), null);
+  });
+});
@@ -0,0 +1,52 @@
+/**
+ * Timezone tests
+ * Run with `npm test`
+ */
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { Timezones } from '../src/utils/timezones.js';
+
+process.env.TZ = 'America/New_York';
+
+describe('Timezones.getOffset', () => {
+  it('follows DST at the given instant', () => {
+    assert.equal(Timezones.getOffset('Europe/Berlin', new Date(Date.UTC(2024, 0, 15))), '+01:00');
+    assert.equal(Timezones.getOffset('Europe/Berlin', new Date(Date.UTC(2024, 6, 15))), '+02:00');
+    assert.equal(Timezones.getOffset('local', new Date(Date.UTC(2024, 0, 15))), '-05:00');
+  });
+  
+  it('handles half-hour, zero and unknown zones', () => {
+    assert.equal(Timezones.getOffset('Asia/Kolkata'), '+05:30');
+    assert.equal(Timezones.getOffset('UTC'), '+00:00');
+    assert.equal(Timezones.getOffset('Mars/Olympus'), '');
+  });
+});
+
+describe('Timezones.search', () => {
+  const zones = ['local', 'UTC', 'America/Sao_Paulo', 'America/New_York', 'Asia/Kolkata', 'Asia/Kathmandu', 'Europe/Kyiv'];
+  
+  it('finds zones by city, ahead of other matches', () => {
+    assert.deepEqual(Timezones.search(zones, 'sao'), ['America/Sao_Paulo']);
+    assert.deepEqual(Timezones.search(zones, 'new york'), ['America/New_York']);
+    assert.deepEqual(Timezones.search(zones, 'k'), ['Asia/Kolkata', 'Asia/Kathmandu', 'Europe/Kyiv', 'America/New_York']);
+  });
+  
+  it('finds zones by offset', () => {
+    assert.deepEqual(Timezones.search(zones, '+5:30'), ['Asia/Kolkata']);
+    assert.deepEqual(Timezones.search(zones, 'utc+05:45'), ['Asia/Kathmandu']);
+  });
+  
+  it('returns every zone for an empty query', () => {
+    assert.equal(Timezones.search(zones, '  '), zones);
+  });
+});
+
+describe('Timezones.addRecent', () => {
+  it('moves the zone to the front and keeps the list short', () => {
+    const recent = ['UTC', 'Asia/Tokyo', 'Europe/Berlin', 'America/Chicago', 'Asia/Kolkata'];
+    
+    assert.deepEqual(Timezones.addRecent(recent, 'Europe/Berlin'), ['Europe/Berlin', 'UTC', 'Asia/Tokyo', 'America/Chicago', 'Asia/Kolkata']);
+    assert.equal(Timezones.addRecent(recent, 'Europe/Paris').length, Timezones.RECENT_LIMIT);
+  });
+});